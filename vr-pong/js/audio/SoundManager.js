@@ -239,11 +239,14 @@ export class SoundManager {
         const baseNoteDuration = 0.3;  // Increased from 0.2 to 0.3 for slower pace
         const baseNoteGap = 0.15;      // Increased from 0.1 to 0.15 for slower pace
         let currentSpeed = 1.0;
+        let nextNote = 0;      // Where a paused loop picks up again
+        let isPaused = false;
         
-        return {
-            play: () => {
+        const music = {
+            play: (fromNote = 0) => {
                 if (this.backgroundMusicPlaying) return;
                 this.backgroundMusicPlaying = true;
+                isPaused = false;
                 
                 const playNote = (noteIndex) => {
                     if (!this.backgroundMusicPlaying) return;
@@ -281,26 +284,38 @@ export class SoundManager {
                     melodyOsc.stop(this.audioContext.currentTime + duration);
                     
                     // Schedule next note
+                    nextNote = (noteIndex + 1) % bassline.length;
                     if (this.backgroundMusicPlaying) {
                         this.currentMusicLoop = setTimeout(() => {
-                            playNote((noteIndex + 1) % bassline.length);
+                            playNote(nextNote);
                         }, (duration + noteGap) * 1000);
                     }
                 };
                 
-                playNote(0);
+                playNote(fromNote);
             },
             stop: () => {
                 this.backgroundMusicPlaying = false;
+                isPaused = false;
                 if (this.currentMusicLoop) {
                     clearTimeout(this.currentMusicLoop);
                     this.currentMusicLoop = null;
                 }
             },
+            // Stop, remembering the next note for resume()
+            pause: () => {
+                if (!this.backgroundMusicPlaying) return;
+                music.stop();
+                isPaused = true;
+            },
+            resume: () => {
+                if (isPaused) music.play(nextNote);
+            },
             setSpeed: (speed) => {
                 currentSpeed = Math.max(1.0, Math.min(3.0, speed)); // Clamp between 1.0 and 3.0
             }
         };
+        return music;
     }
     
     startBackgroundMusic() {
@@ -310,6 +325,14 @@ export class SoundManager {
     stopBackgroundMusic() {
         this.sounds.backgroundMusic.stop();
     }
+    
+    pauseBackgroundMusic() {
+        this.sounds.backgroundMusic.pause();
+    }
+    
+    resumeBackgroundMusic() {
+        this.sounds.backgroundMusic.resume();
+    }
 
     updateMusicSpeed(speed) {
         if (this.sounds.backgroundMusic) {
@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+
+// Free-flying desktop camera for spectators: W/A/S/D (or the arrow keys) to
+// move, Q/E to go down/up, drag with the mouse to look around. In VR the
+// spectator walks with the thumbsticks instead (see VRController).
+export class SpectatorCamera {
+    constructor(camera, domElement = window) {
+        this.camera = camera;
+        this.domElement = domElement;
+        this.enabled = false;
+
+        this.moveSpeed = 1.5;       // Meters per second
+        this.lookSpeed = 0.005;     // Radians per pixel dragged
+        this.maxPitch = Math.PI / 2 - 0.05;
+
+        this.keys = {};
+        this.isDragging = false;
+        this.lastPointer = { x: 0, y: 0 };
+        this.rotation = new THREE.Euler(0, 0, 0, 'YXZ');
+
+        this.onKeyDown = (event) => {
+            this.keys[event.key.toLowerCase()] = true;
+        };
+        this.onKeyUp = (event) => {
+            this.keys[event.key.toLowerCase()] = false;
+        };
+        this.onMouseDown = (event) => {
+            this.isDragging = true;
+            this.lastPointer.x = event.clientX;
+            this.lastPointer.y = event.clientY;
+        };
+        this.onMouseUp = () => {
+            this.isDragging = false;
+        };
+        this.onMouseMove = (event) => {
+            if (!this.enabled || !this.isDragging) return;
+
+            this.rotation.y -= (event.clientX - this.lastPointer.x) * this.lookSpeed;
+            this.rotation.x -= (event.clientY - this.lastPointer.y) * this.lookSpeed;
+            this.rotation.x = THREE.MathUtils.clamp(this.rotation.x, -this.maxPitch, this.maxPitch);
+            this.camera.quaternion.setFromEuler(this.rotation);
+
+            this.lastPointer.x = event.clientX;
+            this.lastPointer.y = event.clientY;
+        };
+    }
+
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+        this.keys = {};
+
+        // Start looking from wherever the camera currently points
+        this.rotation.setFromQuaternion(this.camera.quaternion, 'YXZ');
+
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+        this.domElement.addEventListener('mousedown', this.onMouseDown);
+        window.addEventListener('mouseup', this.onMouseUp);
+        window.addEventListener('mousemove', this.onMouseMove);
+    }
+
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+        this.isDragging = false;
+
+        window.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('keyup', this.onKeyUp);
+        this.domElement.removeEventListener('mousedown', this.onMouseDown);
+        window.removeEventListener('mouseup', this.onMouseUp);
+        window.removeEventListener('mousemove', this.onMouseMove);
+    }
+
+    update(delta) {
+        if (!this.enabled) return;
+
+        const keys = this.keys;
+        const move = new THREE.Vector3(
+            (keys['d'] || keys['arrowright'] ? 1 : 0) - (keys['a'] || keys['arrowleft'] ? 1 : 0),
+            (keys['e'] ? 1 : 0) - (keys['q'] ? 1 : 0),
+            (keys['s'] || keys['arrowdown'] ? 1 : 0) - (keys['w'] || keys['arrowup'] ? 1 : 0)
+        );
+        if (move.lengthSq() === 0) return;
+        move.normalize();
+
+        // Horizontal movement follows where the camera looks, vertical stays vertical
+        const yaw = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), this.rotation.y);
+        const horizontal = new THREE.Vector3(move.x, 0, move.z).applyQuaternion(yaw);
+
+        const step = this.moveSpeed * delta;
+        this.camera.position.x += horizontal.x * step;
+        this.camera.position.y += move.y * step;
+        this.camera.position.z += horizontal.z * step;
+    }
+}
@@ -8,10 +8,18 @@ export class VRController {
         this.controllers = [];
         this.controllerGrips = [];
         this.controllerStates = {
-            left: { touching: false, gripping: false, lastPosition: new THREE.Vector3() },
-            right: { touching: false, gripping: false, lastPosition: new THREE.Vector3(), thumbstickPressed: false }
+            left: { touching: false, gripping: false, lastPosition: new THREE.Vector3(), menuPressed: false },
+            right: { touching: false, gripping: false, lastPosition: new THREE.Vector3(), thumbstickPressed: false, menuPressed: false }
         };
         
+        // Called when B or Y is pressed (the headset keeps the real menu
+        // button for itself); Game opens and closes the pause menu with it
+        this.onMenuButton = null;
+        
+        // Called on every frame a button is held or a thumbstick pushed;
+        // Game ends its attract mode demo with it
+        this.onInput = null;
+        
         // Movement and rotation settings
         this.moveSpeed = 0.05;
         this.snapAngle = 25 * (Math.PI / 180); // 25 degrees in radians
@@ -346,6 +354,17 @@ export class VRController {
         this.controllerStates.right.thumbstickPressed = isPressed;
     }
 
+    // Fire onMenuButton once per press of the upper face button (xr-standard button 5)
+    handleMenuButton(side, gamepad) {
+        const isPressed = Boolean(gamepad.buttons[5]?.pressed);
+        const wasPressed = this.controllerStates[side].menuPressed;
+        this.controllerStates[side].menuPressed = isPressed;
+        
+        if (isPressed && !wasPressed && this.onMenuButton) {
+            this.onMenuButton(side);
+        }
+    }
+
     // Updated to handle multiple paddles
     checkControllerState(controller, side, paddles, playerId, isHost) {
         if (!controller || !controller.visible) return;
@@ -370,6 +389,19 @@ export class VRController {
             // Also handle thumbstick input for movement
             const currentTime = Date.now();
             this.handleThumbstickInput(side, gamepad, currentTime);
+            
+            this.handleMenuButton(side, gamepad);
+            this.handleInputActivity(gamepad);
+        }
+    }
+
+    // Fire onInput while any button is held or a thumbstick is off center
+    // (by more than stick drift)
+    handleInputActivity(gamepad) {
+        const isActive = gamepad.buttons.some((button) => button.pressed)
+            || gamepad.axes.some((axis) => Math.abs(axis) > 0.2);
+        if (isActive && this.onInput) {
+            this.onInput();
         }
     }
 }
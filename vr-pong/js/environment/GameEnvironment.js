@@ -60,6 +60,14 @@ export class GameEnvironment {
         );
         rightWall.position.set(2, 1.5, -1);
         this.scene.add(rightWall);
+
+        // Back wall, behind the far end of the table (holds the leaderboard)
+        const backWall = new THREE.Mesh(
+            new THREE.BoxGeometry(4.1, 3, 0.1),
+            wallMaterial
+        );
+        backWall.position.set(0, 1.5, -3);
+        this.scene.add(backWall);
     }
 
     createTable() {
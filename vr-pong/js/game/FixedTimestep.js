@@ -0,0 +1,30 @@
+import { TICK_SECONDS } from '../shared/PongPhysics.mjs';
+
+// Turns variable frame times into whole physics steps. Each frame adds its
+// delta; advance() runs as many fixed steps as that covers and keeps the rest
+// for the next frame. The leftover, as a fraction of a step, is how far to
+// draw between the last two steps (render interpolation).
+export class FixedTimestep {
+    constructor(stepSeconds = TICK_SECONDS, maxSteps = 8) {
+        this.stepSeconds = stepSeconds;
+        // Catching up after a long frame (tab in the background, headset off)
+        // is capped, so the ball does not race through a backlog
+        this.maxSteps = maxSteps;
+        this.accumulator = 0;
+    }
+
+    // Runs step(stepSeconds) for each whole step in delta seconds (plus the
+    // leftover). Returns the interpolation factor (0..1).
+    advance(delta, step) {
+        this.accumulator = Math.min(this.accumulator + delta, this.stepSeconds * this.maxSteps);
+        while (this.accumulator >= this.stepSeconds) {
+            this.accumulator -= this.stepSeconds;
+            step(this.stepSeconds);
+        }
+        return this.accumulator / this.stepSeconds;
+    }
+
+    reset() {
+        this.accumulator = 0;
+    }
+}
@@ -2,15 +2,74 @@ import * as THREE from 'three';
 import { VRButton } from 'three/addons/webxr/VRButton.js';
 import { XRControllerModelFactory } from 'three/addons/webxr/XRControllerModelFactory.js';
 import { VRController } from '../controllers/VRController.js';
+import { SpectatorCamera } from '../controllers/SpectatorCamera.js';
 import { GameEnvironment } from '../environment/GameEnvironment.js';
 import { Paddle } from './Paddle.js';
 import { Ball } from './Ball.js';
+import { FixedTimestep } from './FixedTimestep.js';
 import { SoundManager } from '../audio/SoundManager.js';
 import { StartButton } from '../ui/StartButton.js';
 import { ScoreDisplay } from '../ui/ScoreDisplay.js';
+import { LeaderboardDisplay } from '../ui/LeaderboardDisplay.js';
+import { SeriesDisplay } from '../ui/SeriesDisplay.js';
 import { Timer } from '../ui/Timer.js';
+import { SpectatorCount } from '../ui/SpectatorCount.js';
+import { DifficultyDebugOverlay } from '../ui/DifficultyDebugOverlay.js';
 import { MultiplayerMenu } from '../ui/MultiplayerMenu.js';
 import { MultiplayerManager } from '../network/MultiplayerManager.js';
+import { flipTableSide, flipTableDirection, flipTableRotation } from '../shared/PongPhysics.mjs';
+import { PongSimulation, SIM_EVENT } from '../shared/PongSimulation.mjs';
+import { PaddleAI, getDifficulty } from '../shared/PaddleAI.mjs';
+import { AdaptiveDifficulty, ADAPTIVE_DIFFICULTY } from '../shared/AdaptiveDifficulty.mjs';
+import { getOpponent, nextOpponent, opponentProfile } from '../shared/Opponents.mjs';
+import { getRules, matchProgress, END_REASON, COUNTDOWN_MS, SERVE_DELAY_MS } from '../shared/MatchRules.mjs';
+import { GamePhases, PHASE } from '../shared/GamePhases.mjs';
+import { readStorage, writeStorage } from '../utils/Storage.js';
+
+// localStorage key for the match rules picked for single player and hosting
+const RULES_STORAGE_KEY = 'vrPong.matchRules';
+
+// localStorage key for the last AI difficulty picked
+const DIFFICULTY_STORAGE_KEY = 'vrPong.aiDifficulty';
+
+// localStorage key for where the adaptive AI settled (see AdaptiveDifficulty)
+const SKILL_STORAGE_KEY = 'vrPong.adaptiveSkill';
+
+// localStorage key for the campaign opponents beaten, a JSON list of ids
+const CAMPAIGN_STORAGE_KEY = 'vrPong.campaign';
+
+// Arrow keys / A and D move the paddle this fast (m/s)
+const KEYBOARD_PADDLE_SPEED = 1.2;
+
+// The start screen left alone this long (ms) starts the attract mode demo
+const ATTRACT_IDLE_MS = 30000;
+
+// The attract mode demo: two AIs of this level playing these rules, over
+// and over
+const ATTRACT_DIFFICULTY = 'medium';
+const ATTRACT_RULES = 'short';
+
+// Last line of the game-over page
+const END_REASON_TEXT = {
+    [END_REASON.POINTS]: (rules) => `FIRST TO ${rules.pointsToWin}`,
+    [END_REASON.TIME]: () => 'TIME UP',
+    [END_REASON.SUDDEN_DEATH]: () => 'SUDDEN DEATH'
+};
+
+// An AI_DIFFICULTY id or ADAPTIVE_DIFFICULTY; anything else gets the default
+function pickDifficulty(id) {
+    return id === ADAPTIVE_DIFFICULTY ? id : getDifficulty(id).id;
+}
+
+// Campaign progress saved by an earlier session
+function readBeatenOpponents() {
+    try {
+        const beaten = JSON.parse(readStorage(CAMPAIGN_STORAGE_KEY));
+        return Array.isArray(beaten) ? beaten.filter((id) => getOpponent(id)) : [];
+    } catch (e) {
+        return [];
+    }
+}
 
 export class Game {
     constructor() {
@@ -20,11 +79,14 @@ export class Game {
         this.renderer = new THREE.WebGLRenderer({ antialias: true });
         this.renderer.shadowMap.enabled = true;
         
-        // Game state
-        this.isGameStarted = false;
+        // Game state: the phase (see GamePhases) plus who we are playing
+        this.phases = new GamePhases();
+        this.countdownShown = null; // Last number shown by the countdown
+        this.resumeCountdown = null; // { msLeft, shown, onDone } while counting down out of a pause
         this.isMultiplayer = false;
         this.isLocalPlayer = true; // Player is host by default
         this.isInVR = false; // Track if user is in VR
+        this.isSpectating = false; // Watching a multiplayer room read-only
         
         // Button interaction state tracking
         this.lastButtonPressController = null;
@@ -34,8 +96,34 @@ export class Game {
         this.playerScore = 0;
         this.aiScore = 0;
         
-        // Clock for animation
+        // When a game ends (see js/shared/MatchRules.mjs). Multiplayer games
+        // use the host's rules, sent by the server.
+        this.matchRules = getRules(readStorage(RULES_STORAGE_KEY));
+        
+        // How good the single player AI is: an AI_DIFFICULTY id, or
+        // ADAPTIVE_DIFFICULTY to follow the player from the skill they
+        // settled at last time
+        this.aiDifficultyId = pickDifficulty(readStorage(DIFFICULTY_STORAGE_KEY));
+        this.adaptiveDifficulty = new AdaptiveDifficulty({ skill: parseFloat(readStorage(SKILL_STORAGE_KEY)) });
+        this.showDifficultyDebug = new URLSearchParams(window.location.search).has('debug');
+        
+        // Campaign: the opponent being played (see OPPONENTS), null for the
+        // picker's levels, and the opponents beaten so far
+        this.opponent = null;
+        this.beatenOpponents = readBeatenOpponents();
+        
+        // Attract mode: how long (ms) the start screen has sat without
+        // input, and the AI that plays our paddle in the demo
+        this.idleMs = 0;
+        this.attractAI = new PaddleAI({ difficulty: ATTRACT_DIFFICULTY });
+        
+        // Clock for animation; the single player game steps at a fixed rate
         this.clock = new THREE.Clock();
+        this.physicsStep = new FixedTimestep();
+        
+        // Single player games are played out here: ball, paddles, serves and
+        // points. Ball and Paddle only draw it.
+        this.simulation = new PongSimulation({ rules: this.matchRules });
         
         // Create a group for player elements
         this.playerGroup = new THREE.Group();
@@ -69,10 +157,103 @@ export class Game {
         
         // Set up multiplayer menu callbacks (will create the menu)
         this.setupMultiplayerCallbacks();
+        this.setupPhaseHooks();
         
         this.animate();
     }
 
+    // A game is under way, from the countdown to the last point (paused too)
+    get isGameStarted() {
+        return this.phases.isPlaying();
+    }
+
+    // What each phase switches on and off
+    setupPhaseHooks() {
+        const { phases } = this;
+        
+        // UI: the countdown clears the screen and the clock starts with the first serve
+        phases.onEnter(PHASE.COUNTDOWN, ({ resumed }) => {
+            if (resumed) return;
+            this.startButton.hide();
+            this.multiplayerMenu.hide();
+            if (!this.isMultiplayer) {
+                this.simulation.reset(this.matchRules);
+            }
+            this.ball.reset();
+            this.timer.reset();
+            this.countdownShown = null;
+        });
+        phases.onExit(PHASE.COUNTDOWN, ({ to }) => {
+            if (to === PHASE.SERVING) {
+                this.timer.start();
+            }
+        });
+        phases.onEnter(PHASE.PAUSED, () => this.timer.stop());
+        phases.onExit(PHASE.PAUSED, ({ to }) => {
+            this.resumeCountdown = null;
+            if (this.multiplayerMenu.isPauseVisible) {
+                this.multiplayerMenu.hide();
+            }
+            if (to === PHASE.SERVING || to === PHASE.RALLY || to === PHASE.POINT_SCORED) {
+                this.timer.resume();
+            }
+        });
+        phases.onEnter(PHASE.GAME_OVER, () => {
+            this.timer.stop();
+            this.ball.reset();
+        });
+        
+        // Attract mode: the demo takes over the table until any input (see noteActivity)
+        phases.onEnter(PHASE.ATTRACT, () => {
+            this.startButton.hide();
+            this.simulation.reset(getRules(ATTRACT_RULES));
+            this.ball.reset();
+            this.attractAI.setDifficulty(ATTRACT_DIFFICULTY);
+            this.aiPaddle.setDifficulty(ATTRACT_DIFFICULTY);
+            this.playerScoreDisplay.updateLabel('AI ONE');
+            this.aiScoreDisplay.updateLabel('AI TWO');
+        });
+        phases.onExit(PHASE.ATTRACT, () => {
+            this.playerScoreDisplay.updateLabel('PONG MASTER');
+            this.aiScoreDisplay.updateLabel('YOU');
+            this.messageDisplay.visible = false;
+        });
+        
+        // Networking: our paddle goes to the server only while points are played
+        for (const phase of [PHASE.COUNTDOWN, PHASE.SERVING, PHASE.RALLY, PHASE.POINT_SCORED]) {
+            phases.onEnter(phase, () => {
+                if (this.isMultiplayer && !this.isSpectating) {
+                    this.multiplayerManager.startStreaming();
+                }
+            });
+        }
+        for (const phase of [PHASE.PAUSED, PHASE.GAME_OVER, PHASE.MENU, PHASE.LOBBY, PHASE.ATTRACT]) {
+            phases.onEnter(phase, () => this.multiplayerManager.stopStreaming());
+        }
+        
+        // Audio: music while a game is on, a sound for every point
+        if (this.soundManager) {
+            phases.onEnter(PHASE.COUNTDOWN, ({ resumed }) => {
+                if (!resumed) this.soundManager.startBackgroundMusic();
+            });
+            phases.onEnter(PHASE.ATTRACT, () => this.soundManager.startBackgroundMusic());
+            for (const phase of [PHASE.MENU, PHASE.LOBBY, PHASE.GAME_OVER]) {
+                phases.onEnter(phase, () => this.soundManager.stopBackgroundMusic());
+            }
+            phases.onEnter(PHASE.PAUSED, () => this.soundManager.pauseBackgroundMusic());
+            phases.onExit(PHASE.PAUSED, ({ resumed }) => {
+                if (resumed) this.soundManager.resumeBackgroundMusic();
+            });
+            phases.onEnter(PHASE.POINT_SCORED, ({ ownPoint }) => {
+                if (ownPoint) {
+                    this.soundManager.playScore();
+                } else {
+                    this.soundManager.playLose();
+                }
+            });
+        }
+    }
+
     init() {
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.renderer.xr.enabled = true;
@@ -97,6 +278,9 @@ export class Game {
         this.renderer.xr.addEventListener('sessionstart', () => {
             console.log('Setting up VR session');
             
+            // Spectators walk with the thumbsticks in VR
+            this.spectatorCamera.disable();
+            
             // Ensure the camera is in the playerGroup for locomotion
             if (!this.playerGroup.children.includes(this.camera)) {
                 // Reset position for VR
@@ -118,6 +302,9 @@ export class Game {
             
             // Store initial Y position to help maintain consistent floor height
             this.initialFloorHeight = this.playerGroup.position.y;
+            
+            // Putting the headset on ends the attract mode demo
+            this.noteActivity();
         });
         
         // Set session end event to restore desktop view
@@ -131,51 +318,44 @@ export class Game {
             // Restore desktop camera position and orientation
             this.camera.position.set(0, 1.7, 0.8);
             this.camera.lookAt(0, 0.9, -1.0);
+            
+            if (this.isSpectating) {
+                this.spectatorCamera.enable();
+            }
         });
 
-        // Initialize VR controllers
+        // Initialize VR controllers; B or Y opens the pause menu
         this.vrController = new VRController(this.renderer, this.playerGroup);
+        this.vrController.onMenuButton = () => this.togglePause();
+        this.vrController.onInput = () => this.noteActivity();
     }
 
     setupMultiplayerCallbacks() {
         this.multiplayerMenu = new MultiplayerMenu(this.scene);
         
         // Set up the callbacks for the multiplayer menu buttons
+        this.multiplayerMenu.setRules(this.matchRules.id);
+        this.multiplayerMenu.setDifficulty(this.aiDifficultyId);
+        this.multiplayerMenu.setCampaignProgress(this.beatenOpponents);
         this.multiplayerMenu.setCallbacks({
-            onSinglePlayer: () => {
-                console.log("Starting single player game...");
-                this.multiplayerMenu.hide();
-                
-                // Reset existing game state
-                this.resetGame();
-                
-                // Start a single player game against AI
-                this.isMultiplayer = false;
-                this.isGameStarted = true;
-                
-                // Reset scores
-                this.playerScore = 0;
-                this.aiScore = 0;
-                this.playerScoreDisplay.updateScore(0);
-                this.aiScoreDisplay.updateScore(0);
-                
-                // Make sure the AI paddle is positioned correctly
-                this.aiPaddle.getPaddle().position.z = -1.9;
-                this.playerPaddle.getPaddle().position.z = -0.1;
-                
-                // Start game directly
-                this.ball.start();
-                this.timer.start();
-                if (this.soundManager) {
-                    this.soundManager.startBackgroundMusic();
-                }
-                
-                this.showMessage('Single Player Game Started!');
+            onSinglePlayer: (difficultyId) => {
+                this.aiDifficultyId = pickDifficulty(difficultyId);
+                writeStorage(DIFFICULTY_STORAGE_KEY, this.aiDifficultyId);
+                this.opponent = null;
+                this.startSinglePlayerGame();
             },
-            onHost: () => {
+            onCampaign: (opponentId) => {
+                this.opponent = getOpponent(opponentId);
+                this.startSinglePlayerGame();
+            },
+            onHost: (seriesLength) => {
                 if (this.multiplayerManager.isConnected) {
-                    console.log("Attempting to host a game...");
-                    this.multiplayerManager.hostGame();
+                    console.log(`Attempting to host a game (best of ${seriesLength})...`);
+                    if (!this.multiplayerManager.hostGame(seriesLength)) {
+                        // Already hosting: stay on the menu rather than leave the player with neither
+                        this.multiplayerMenu.setSeriesStatus(`ALREADY HOSTING ROOM ${this.multiplayerManager.roomId}`);
+                        return;
+                    }
                     this.multiplayerMenu.hide();
                     // Hide start button until someone joins
                     this.startButton.hide();
@@ -187,17 +367,70 @@ export class Game {
             },
             onJoin: () => {
                 if (this.multiplayerManager.isConnected) {
-                    console.log("Attempting to join a game...");
-                    this.multiplayerManager.quickJoin();
-                    this.multiplayerMenu.hide();
-                    // Hide start button for guest
-                    this.startButton.hide();
-                    this.showMessage('Searching for a game to join...');
+                    console.log("Attempting to find a match...");
+                    if (this.multiplayerManager.quickJoin()) {
+                        this.multiplayerMenu.hide();
+                        // The matchmaker decides who hosts; the start button comes back for the host
+                        this.startButton.hide();
+                        this.showMessage('Searching for an opponent...');
+                    }
                 } else {
                     console.log("Not connected to server");
                     this.showMessage('Not connected to server. Please try again.');
                 }
             },
+            onJoinCode: (code) => {
+                if (this.multiplayerManager.isConnected) {
+                    console.log(`Attempting to join room ${code}...`);
+                    if (this.multiplayerManager.joinRoom(code)) {
+                        this.multiplayerMenu.hide();
+                        // Hide start button for guest
+                        this.startButton.hide();
+                        this.showMessage(`Joining game ${code}...`);
+                    }
+                } else {
+                    console.log("Not connected to server");
+                    this.showMessage('Not connected to server. Please try again.');
+                }
+            },
+            onBrowse: () => {
+                if (this.multiplayerManager.isConnected) {
+                    this.multiplayerManager.listRooms();
+                } else {
+                    this.multiplayerMenu.setRoomList([]);
+                    this.showMessage('Not connected to server. Please try again.');
+                }
+            },
+            onSpectateCode: (code) => {
+                if (this.multiplayerManager.isConnected) {
+                    console.log(`Attempting to spectate room ${code}...`);
+                    if (this.multiplayerManager.spectateRoom(code)) {
+                        this.multiplayerMenu.hide();
+                        this.startButton.hide();
+                        this.showMessage(`Connecting to game ${code}...`);
+                    }
+                } else {
+                    console.log("Not connected to server");
+                    this.showMessage('Not connected to server. Please try again.');
+                }
+            },
+            onRulesChange: (rulesId) => {
+                this.matchRules = getRules(rulesId);
+                writeStorage(RULES_STORAGE_KEY, this.matchRules.id);
+                this.setTimerRules(this.matchRules);
+            },
+            // The game-over page: play again, or leave for the menu
+            onRematch: () => {
+                if (this.isMultiplayer) {
+                    this.multiplayerManager.rematchVote();
+                } else {
+                    this.startSinglePlayerGame();
+                }
+            },
+            onLeaveRoom: () => this.leaveGame(),
+            // The pause menu
+            onResume: () => this.requestResume(),
+            onQuit: () => this.leaveGame(),
             onBack: () => {
                 // Return to main menu
                 console.log("Returning to main menu");
@@ -207,9 +440,224 @@ export class Game {
         });
     }
 
+    startSinglePlayerGame() {
+        console.log("Starting single player game...");
+        this.multiplayerMenu.hide();
+        
+        // Reset existing game state
+        this.resetGame();
+        
+        // Start a single player game against AI (resetGame zeroed the scores)
+        this.isMultiplayer = false;
+        
+        // Make sure the AI paddle is positioned correctly
+        this.aiPaddle.getPaddle().position.z = -1.9;
+        this.playerPaddle.getPaddle().position.z = -0.1;
+        if (this.opponent) {
+            this.aiPaddle.setProfile(opponentProfile(this.opponent));
+        } else if (this.aiDifficultyId === ADAPTIVE_DIFFICULTY) {
+            this.adaptiveDifficulty.reset();
+            this.aiPaddle.setProfile(this.adaptiveDifficulty.profile);
+        } else {
+            this.aiPaddle.setDifficulty(this.aiDifficultyId);
+        }
+        this.playerScoreDisplay.updateLabel(this.opponent ? this.opponent.name : 'PONG MASTER');
+        
+        this.phases.transition(PHASE.COUNTDOWN);
+        this.refreshDifficultyDebug();
+    }
+
+    // Single player against the adaptive AI (not a campaign opponent)
+    isAdaptiveGame() {
+        return !this.isMultiplayer && !this.opponent && this.aiDifficultyId === ADAPTIVE_DIFFICULTY;
+    }
+
+    // The adaptive AI's debug panel shows during adaptive single player
+    // games, once turned on
+    refreshDifficultyDebug() {
+        const visible = this.showDifficultyDebug && this.isAdaptiveGame() && !this.phases.is(PHASE.MENU, PHASE.LOBBY);
+        this.difficultyDebug.setVisible(visible);
+        if (visible) {
+            this.difficultyDebug.update(this.adaptiveDifficulty);
+        }
+    }
+
+    // Size the game clock for the rules of the next game
+    setTimerRules(rules) {
+        this.timer.setDuration(rules.timeLimitMs === null ? null : rules.timeLimitMs / 1000);
+    }
+
+    // Single player: the simulation found a winner (see evaluateMatch)
+    finishSinglePlayerGame(result) {
+        this.phases.transition(PHASE.GAME_OVER);
+        
+        let title = result.winner === 'host' ? 'YOU WIN!' : 'YOU LOSE';
+        const lines = [`${this.playerScore} - ${this.aiScore}`, END_REASON_TEXT[result.reason](this.matchRules)];
+        let acceptLabel = 'PLAY AGAIN';
+        
+        // A campaign win unlocks the next opponent, who PLAY AGAIN moves on to
+        if (this.opponent && result.winner === 'host') {
+            title = `YOU BEAT ${this.opponent.name}!`;
+            const next = nextOpponent(this.opponent.id);
+            if (this.recordCampaignWin(this.opponent)) {
+                lines.push(next ? `${next.name} UNLOCKED` : 'CAMPAIGN COMPLETE');
+            }
+            if (next) {
+                this.opponent = next;
+                acceptLabel = 'NEXT OPPONENT';
+            }
+        }
+        this.multiplayerMenu.showPostGame({ title, detail: lines.join('\n'), acceptLabel, leaveLabel: 'MENU' });
+    }
+
+    // Save a win over a campaign opponent. Returns true the first time.
+    recordCampaignWin(opponent) {
+        if (this.beatenOpponents.includes(opponent.id)) return false;
+        this.beatenOpponents.push(opponent.id);
+        writeStorage(CAMPAIGN_STORAGE_KEY, JSON.stringify(this.beatenOpponents));
+        this.multiplayerMenu.setCampaignProgress(this.beatenOpponents);
+        return true;
+    }
+
+    // Give up the game (or the finished one) and go back to the menu
+    leaveGame() {
+        if (this.isMultiplayer) {
+            this.multiplayerManager.leaveRoom();
+            this.endMultiplayerGame('You left the game');
+        } else {
+            this.resetGame();
+            this.startButton.hide();
+            this.multiplayerMenu.show();
+        }
+    }
+
+    // Escape or the controller menu button: open the pause menu, or resume
+    // from it
+    togglePause() {
+        if (this.isSpectating || !this.phases.isPlaying()) return;
+        
+        if (this.multiplayerMenu.isPauseVisible) {
+            this.requestResume();
+        } else if (!this.phases.is(PHASE.PAUSED)) {
+            this.requestPause();
+        }
+    }
+
+    requestPause() {
+        // Multiplayer pauses go through the server, which pauses both
+        // players together (see showPause)
+        if (this.isMultiplayer) {
+            this.multiplayerManager.pauseGame();
+            return;
+        }
+        
+        this.phases.pause();
+        const controls = this.isInVR ? 'B OR Y' : 'ESCAPE';
+        this.multiplayerMenu.showPauseMenu({ detail: `${controls} OR RESUME TO PLAY ON` });
+    }
+
+    requestResume() {
+        // The server counts everyone down (see gameResuming)
+        if (this.isMultiplayer) {
+            this.multiplayerManager.resumeGame();
+            return;
+        }
+        
+        this.startResumeCountdown(COUNTDOWN_MS, () => this.phases.resume());
+    }
+
+    // A player paused the multiplayer game (see pauseRoomGame on the server).
+    // role is ours: 'host', 'guest' or null for spectators.
+    showPause({ by, name, pausesLeft, msLeft }, role) {
+        this.phases.pause();
+        this.resumeCountdown = null;
+        
+        const seconds = Math.ceil(msLeft / 1000);
+        const who = (name || by).toUpperCase();
+        if (!role) {
+            this.showMessage(`${who} paused the game (back within ${seconds}s)`, 5000);
+            return;
+        }
+        
+        const isMine = by === role;
+        const lines = [`${isMine ? 'YOU' : who} PAUSED THE GAME`];
+        if (isMine) {
+            lines.push(`${pausesLeft} ${pausesLeft === 1 ? 'PAUSE' : 'PAUSES'} LEFT, RESUMES BY ITSELF IN ${seconds}s`);
+        } else {
+            lines.push(`RESUMES BY ITSELF WITHIN ${seconds}s`);
+        }
+        this.multiplayerMenu.showPauseMenu({ detail: lines.join('\n'), canResume: isMine });
+    }
+
+    // Show 3, 2, 1 before play goes on; onDone runs at the end (multiplayer
+    // waits for gameResumed from the server instead)
+    startResumeCountdown(ms, onDone = null) {
+        if (!this.phases.is(PHASE.PAUSED)) return;
+        
+        if (this.multiplayerMenu.isPauseVisible) {
+            this.multiplayerMenu.hide();
+        }
+        this.resumeCountdown = { msLeft: ms, shown: null, onDone };
+    }
+
+    updateResumeCountdown(delta) {
+        const countdown = this.resumeCountdown;
+        countdown.msLeft -= delta * 1000;
+        
+        const secondsLeft = Math.ceil(countdown.msLeft / 1000);
+        if (secondsLeft <= 0) {
+            this.resumeCountdown = null;
+            if (countdown.onDone) countdown.onDone();
+        } else if (secondsLeft !== countdown.shown) {
+            countdown.shown = secondsLeft;
+            this.showMessage(`${secondsLeft}`, 900);
+        }
+    }
+
+    // Tied when the time ran out: the next point wins
+    startOvertime() {
+        this.timer.startOvertime();
+        this.showMessage('Sudden death! Next point wins', 3000);
+    }
+
     setupDesktopControls() {
+        // Any key, click or mouse move ends the attract mode demo, before
+        // the handlers below see it
+        for (const type of ['keydown', 'mousedown', 'mousemove', 'wheel', 'touchstart']) {
+            window.addEventListener(type, () => this.noteActivity(), { capture: true, passive: true });
+        }
+        
         // Add event listeners for keyboard controls
         window.addEventListener('keydown', (event) => {
+            // While the room code keypad is open, typing goes to the keypad
+            if (this.multiplayerMenu.handleKeyboardInput(event.key)) {
+                return;
+            }
+            
+            // ` shows or hides the adaptive AI's debug panel
+            if (event.key === '`') {
+                this.showDifficultyDebug = !this.showDifficultyDebug;
+                this.refreshDifficultyDebug();
+                return;
+            }
+            
+            // Spectators only move the camera (see SpectatorCamera); Escape stops watching
+            if (this.isSpectating) {
+                if (event.key === 'Escape') {
+                    this.multiplayerManager.stopSpectating();
+                    this.stopSpectating('Stopped watching');
+                }
+                return;
+            }
+            
+            // While matchmaking, Escape leaves the queue
+            if (this.multiplayerManager.isSearching) {
+                if (event.key === 'Escape') {
+                    this.multiplayerManager.cancelMatchmaking();
+                }
+                return;
+            }
+            
             if (this.desktopControls.keys.hasOwnProperty(event.key)) {
                 this.desktopControls.keys[event.key] = true;
             } else {
@@ -217,7 +665,7 @@ export class Game {
             }
             
             // Space bar to start game or interact with buttons
-            if (event.key === ' ' && !this.isGameStarted) {
+            if (event.key === ' ' && this.phases.is(PHASE.MENU, PHASE.LOBBY)) {
                 if (this.multiplayerManager.isInMultiplayerGame()) {
                     // If we're in a multiplayer game and we're the host, start the game
                     if (this.multiplayerManager.isHosting()) {
@@ -236,11 +684,19 @@ export class Game {
             
             // Handle 'ESC' key to exit menus or pause
             if (event.key === 'Escape') {
-                if (this.multiplayerMenu.isVisible) {
+                const isSubPage = this.multiplayerMenu.isKeypadVisible || this.multiplayerMenu.isLobbyVisible
+                    || this.multiplayerMenu.isSeriesVisible || this.multiplayerMenu.isDifficultyVisible
+                    || this.multiplayerMenu.isLadderVisible || this.multiplayerMenu.isRulesVisible;
+                if (this.multiplayerMenu.isPostGameVisible) {
+                    // The game-over page stays until the player picks rematch or leave
+                } else if (this.phases.isPlaying()) {
+                    this.togglePause();
+                } else if (isSubPage && this.multiplayerMenu.isVisible) {
+                    this.multiplayerMenu.showMainPage();
+                } else if (this.multiplayerMenu.isVisible) {
                     this.multiplayerMenu.hide();
                     this.startButton.show();
                 }
-                // Could add pause functionality here
             }
         });
         
@@ -302,38 +758,17 @@ export class Game {
                                 this.multiplayerManager.startGame();
                             }
                         } else {
-                            console.log('Starting single player game');
-                            this.isGameStarted = true;
-                            this.playerScore = 0;
-                            this.aiScore = 0;
-                            this.playerScoreDisplay.updateScore(0);
-                            this.aiScoreDisplay.updateScore(0);
-                            
-                            this.ball.start();
-                            this.timer.start();
-                            if (this.soundManager) {
-                                this.soundManager.startBackgroundMusic();
-                            }
-                            this.startButton.hide();
+                            this.startSinglePlayerGame();
                         }
                     }
                 }
                 
                 // Check multiplayer menu button intersections
+                // (main page buttons or room code keypad, whichever is shown)
                 if (this.multiplayerMenu.isVisible) {
-                    const singleplayerIntersects = raycaster.intersectObject(this.multiplayerMenu.buttons.singleplayer, true);
-                    const hostIntersects = raycaster.intersectObject(this.multiplayerMenu.buttons.host, true);
-                    const joinIntersects = raycaster.intersectObject(this.multiplayerMenu.buttons.join, true);
-                    const backIntersects = raycaster.intersectObject(this.multiplayerMenu.buttons.back, true);
-                    
-                    if (singleplayerIntersects.length > 0) {
-                        this.multiplayerMenu.pressButton('singleplayer');
-                    } else if (hostIntersects.length > 0) {
-                        this.multiplayerMenu.pressButton('host');
-                    } else if (joinIntersects.length > 0) {
-                        this.multiplayerMenu.pressButton('join');
-                    } else if (backIntersects.length > 0) {
-                        this.multiplayerMenu.pressButton('back');
+                    const menuIntersects = this.multiplayerMenu.checkRaycasterIntersection(raycaster);
+                    if (menuIntersects) {
+                        this.multiplayerMenu.pressButton(menuIntersects.button);
                     }
                 }
             }
@@ -347,13 +782,19 @@ export class Game {
         this.table = this.environment.getTable();
         this.scene.add(this.table);
 
-        this.ball = new Ball(this.scene);
+        this.ball = new Ball(this.scene, this.simulation.ball);
         this.playerPaddle = new Paddle(this.scene, false);
         this.aiPaddle = new Paddle(this.scene, true);
         this.startButton = new StartButton(this.scene);
         
         // Initialize game timer
-        this.timer = new Timer(this.scene, 180); // 3 minute game timer
+        this.timer = new Timer(this.scene);
+        this.setTimerRules(this.matchRules);
+        
+        // How many people are watching a multiplayer room
+        this.spectatorCount = new SpectatorCount(this.scene);
+        this.difficultyDebug = new DifficultyDebugOverlay(this.scene);
+        this.spectatorCamera = new SpectatorCamera(this.camera, this.renderer.domElement);
         
         // Create message display for notifications
         this.messageDisplay = this.createMessageDisplay();
@@ -382,6 +823,25 @@ export class Game {
             'YOU'
         );
 
+        // Best-of-N standing under each score board (hidden for single games)
+        this.playerSeriesDisplay = new SeriesDisplay(
+            this.scene,
+            new THREE.Vector3(1.90, 0.8, -1),
+            new THREE.Euler(0, -Math.PI / 2, 0)
+        );
+        
+        this.aiSeriesDisplay = new SeriesDisplay(
+            this.scene,
+            new THREE.Vector3(-1.90, 0.8, -1),
+            new THREE.Euler(0, Math.PI / 2, 0)
+        );
+        
+        // Multiplayer ratings on the back wall, filled in by the server
+        this.leaderboardDisplay = new LeaderboardDisplay(
+            this.scene,
+            new THREE.Vector3(0, 1.6, -2.94)
+        );
+
         // Create start button
         this.startButton.button.addEventListener('click', () => {
             if (!this.isInVR) {
@@ -397,17 +857,7 @@ export class Game {
                         this.showMessage("Waiting for host to start the game...");
                     }
                 } else {
-                    this.isGameStarted = true;
-                    this.playerScore = 0;
-                    this.aiScore = 0;
-                    this.playerScoreDisplay.updateScore(0);
-                    this.aiScoreDisplay.updateScore(0);
-                    this.ball.start();
-                    this.timer.start();
-                    if (this.soundManager) {
-                        this.soundManager.startBackgroundMusic();
-                    }
-                    this.startButton.hide();
+                    this.startSinglePlayerGame();
                 }
             }
         });
@@ -509,25 +959,33 @@ export class Game {
         }, duration);
     }
 
-    updateMultiplayerStatus(isActive, isHost) {
+    updateMultiplayerStatus(isActive, isHost, opponentName = null) {
         this.isMultiplayer = isActive;
         this.isLocalPlayer = isHost;
         
+        // Seated in a room: wait there until the game starts
+        if (isActive && this.phases.is(PHASE.MENU)) {
+            this.phases.transition(PHASE.LOBBY);
+        }
+        
         // Update UI labels based on multiplayer status
         if (isActive) {
-            this.playerScoreDisplay.updateLabel(isHost ? 'YOU' : 'OPPONENT');
-            this.aiScoreDisplay.updateLabel(isHost ? 'OPPONENT' : 'YOU');
+            const opponentLabel = opponentName ? opponentName.toUpperCase() : 'OPPONENT';
+            this.playerScoreDisplay.updateLabel(isHost ? 'YOU' : opponentLabel);
+            this.aiScoreDisplay.updateLabel(isHost ? opponentLabel : 'YOU');
         } else {
             this.playerScoreDisplay.updateLabel('PONG MASTER');
             this.aiScoreDisplay.updateLabel('YOU');
         }
     }
 
-    startMultiplayerGame(isHost) {
+    // clock comes from the server when joining a game already under way
+    // ({ elapsedMs, overtime, countdownMs }, see matchClock in server.js)
+    startMultiplayerGame(isHost, clock = null) {
         console.log(`Starting multiplayer game as ${isHost ? 'host' : 'guest'}`);
-        this.isGameStarted = true;
         this.isMultiplayer = true;
         this.isLocalPlayer = isHost;
+        this.refreshDifficultyDebug();
         
         // Reset scores
         this.playerScore = 0;
@@ -535,10 +993,6 @@ export class Game {
         this.playerScoreDisplay.updateScore(0);
         this.aiScoreDisplay.updateScore(0);
         
-        // Hide the start button if it's visible
-        this.startButton.hide();
-        this.multiplayerMenu.hide();
-        
         // IMPORTANT: Force paddle positions to correct sides of table
         // Recreate paddles to ensure they are positioned correctly
         if (this.playerPaddle.getPaddle()) {
@@ -558,21 +1012,12 @@ export class Game {
         
         console.log(`Paddle positions set - Player: ${this.playerPaddle.getPaddle().position.z}, AI: ${this.aiPaddle.getPaddle().position.z}`);
         
-        // Show a message
-        this.showMessage('Game started!', 3000);
-        
-        // Start the ball if we're the host
-        if (isHost) {
-            this.ball.start();
-        }
-        
-        // Start the timer and music
-        if (this.timer) {
-            this.timer.start();
-        }
-        
-        if (this.soundManager) {
-            this.soundManager.startBackgroundMusic();
+        // The server serves and simulates the ball after the same countdown;
+        // the clock follows the host's rules
+        this.setTimerRules(this.multiplayerManager.matchRules || getRules());
+        this.phases.transition(PHASE.COUNTDOWN);
+        if (clock) {
+            this.joinMatchClock(clock);
         }
         
         // Add haptic feedback when game starts
@@ -586,6 +1031,198 @@ export class Game {
         }
     }
 
+    // Freeze play while the multiplayer session is interrupted (dropped connection)
+    pauseMultiplayerGame(message) {
+        this.phases.pause();
+        this.resumeCountdown = null;
+        if (message) {
+            this.showMessage(message, 5000);
+        }
+    }
+
+    resumeMultiplayerGame() {
+        if (!this.phases.resume()) return;
+        this.showMessage('Game resumed!');
+    }
+
+    // The server ended the game. Players get the game-over page with the
+    // rematch vote; spectators just see the result. perspective is 'host',
+    // 'guest' or 'spectator'.
+    showGameOver({ hostScore, guestScore, winner, reason, series }, perspective) {
+        this.phases.transition(PHASE.GAME_OVER);
+        this.updateRemoteScore(hostScore, guestScore);
+        this.updateSeries(series);
+        
+        // Spectators see the names on the boards; players see YOU for themselves
+        const opponentName = (this.multiplayerManager.opponentName || 'OPPONENT').toUpperCase();
+        const names = {
+            host: this.playerScoreDisplay.label,
+            guest: this.aiScoreDisplay.label
+        };
+        if (perspective !== 'spectator') {
+            names[perspective] = 'YOU';
+            names[perspective === 'host' ? 'guest' : 'host'] = opponentName;
+        }
+        
+        let title = 'DRAW';
+        if (winner && perspective !== 'spectator') {
+            title = winner === perspective ? 'YOU WIN!' : 'YOU LOSE';
+        } else if (winner) {
+            title = `${names[winner]} WINS`;
+        }
+        
+        // Scores from our side of the table
+        const mine = perspective === 'guest' ? guestScore : hostScore;
+        const theirs = perspective === 'guest' ? hostScore : guestScore;
+        const lines = [`${mine} - ${theirs}`];
+        if (END_REASON_TEXT[reason]) {
+            lines.push(END_REASON_TEXT[reason](this.multiplayerManager.matchRules || getRules()));
+        }
+        let acceptLabel = 'REMATCH';
+        if (series && series.length > 1) {
+            const myWins = perspective === 'guest' ? series.guestWins : series.hostWins;
+            const theirWins = perspective === 'guest' ? series.hostWins : series.guestWins;
+            if (series.winner) {
+                lines.push(`${names[series.winner]} TOOK THE BEST OF ${series.length} (${myWins}-${theirWins})`);
+                acceptLabel = 'NEW SERIES';
+            } else {
+                lines.push(`SERIES ${myWins}-${theirWins} (BEST OF ${series.length})`);
+                acceptLabel = 'NEXT GAME';
+            }
+        }
+        
+        if (perspective === 'spectator') {
+            this.showMessage(`${title} ${lines.join(', ')}`, 5000);
+            return;
+        }
+        this.startButton.hide();
+        this.multiplayerMenu.showPostGame({ title, detail: lines.join('\n'), acceptLabel });
+    }
+
+    // Catch up with a multiplayer game already in progress: finish the
+    // countdown in step with the server, or go straight to play
+    joinMatchClock(clock) {
+        if (clock.countdownMs > 0) {
+            this.phases.timeInPhase = COUNTDOWN_MS - clock.countdownMs;
+            return;
+        }
+        
+        this.phases.transition(PHASE.SERVING);
+        if (clock.overtime) {
+            this.timer.startOvertime();
+        } else {
+            this.timer.setElapsedMs(clock.elapsedMs);
+        }
+    }
+
+    // Rematch vote progress on the game-over page
+    updateRematchVotes(votes, role) {
+        if (!votes || !this.multiplayerMenu.isPostGameVisible) return;
+        const otherRole = role === 'host' ? 'guest' : 'host';
+        let status = '';
+        if (votes[role] && !votes[otherRole]) {
+            status = 'WAITING FOR YOUR OPPONENT...';
+        } else if (votes[otherRole] && !votes[role]) {
+            status = 'YOUR OPPONENT WANTS TO PLAY AGAIN';
+        }
+        this.multiplayerMenu.setPostGameStatus(status);
+    }
+
+    // Series state from the server (see seriesState in server.js). The
+    // boards follow the scores: ours on the right, the opponent's on the left.
+    updateSeries(series) {
+        if (!series) return;
+        const myWins = this.isLocalPlayer ? series.hostWins : series.guestWins;
+        const theirWins = this.isLocalPlayer ? series.guestWins : series.hostWins;
+        this.playerSeriesDisplay.updateSeries(series.length, myWins);
+        this.aiSeriesDisplay.updateSeries(series.length, theirWins);
+    }
+
+    // Leave multiplayer for good and return to the start screen
+    endMultiplayerGame(message) {
+        this.resetGame();
+        this.updateMultiplayerStatus(false, false);
+        this.spectatorCount.updateCount(0);
+        this.playerSeriesDisplay.updateSeries(1, 0);
+        this.aiSeriesDisplay.updateSeries(1, 0);
+        if (message) {
+            this.showMessage(message);
+        }
+    }
+
+    // Watch a room read-only. Spectators see the host's side of the table
+    // (the world frame), so none of the guest flips apply.
+    startSpectating(data) {
+        this.resetGame();
+        this.isSpectating = true;
+        this.isMultiplayer = true;
+        this.isLocalPlayer = true;
+        this.startButton.hide();
+        
+        if (data.isPlaying) {
+            this.startMultiplayerGame(true, data.clock);
+            if (data.isPaused) {
+                this.pauseMultiplayerGame();
+            }
+        }
+        
+        this.updateSpectatorView(data.hostName, data.guestName);
+        this.updateRemoteScore(data.hostScore, data.guestScore);
+        this.updateSeries(data.series);
+        this.updateRemotePaddlePosition(data.hostPaddlePosition, true);
+        this.updateRemotePaddlePosition(data.guestPaddlePosition, false);
+        
+        if (!this.isInVR) {
+            this.spectatorCamera.enable();
+        }
+        
+        const controls = this.isInVR ? 'Use the thumbsticks to move around.' : 'W/A/S/D and drag to look around, Escape to leave.';
+        this.showMessage(`Watching ${data.hostName} vs ${data.guestName || '...'}. ${controls}`, 5000);
+    }
+
+    updateSpectatorView(hostName, guestName) {
+        this.playerScoreDisplay.updateLabel(hostName ? hostName.toUpperCase() : 'HOST');
+        this.aiScoreDisplay.updateLabel(guestName ? guestName.toUpperCase() : 'WAITING...');
+    }
+
+    stopSpectating(message) {
+        this.isSpectating = false;
+        this.spectatorCamera.disable();
+        
+        // Back to the usual desktop viewpoint
+        if (!this.isInVR) {
+            this.camera.position.set(0, 1.7, 0.8);
+            this.camera.lookAt(0, 0.9, -1.0);
+        }
+        
+        for (const role of ['host', 'guest']) {
+            this.remoteControllers[role].left.visible = false;
+            this.remoteControllers[role].right.visible = false;
+        }
+        
+        this.endMultiplayerGame(message);
+    }
+
+    updateSpectatorCount(count) {
+        this.spectatorCount.updateCount(count);
+    }
+
+    showMatchmakingStatus(waitedMs, estimatedWaitMs) {
+        const waited = Math.floor(waitedMs / 1000);
+        const estimate = Math.ceil(estimatedWaitMs / 1000);
+        const cancelHint = this.isInVR ? '' : ' Press Esc to cancel.';
+        this.showMessage(`Searching for an opponent (${waited}s)... Estimated wait: ${estimate}s.${cancelHint}`, 5000);
+    }
+
+    onMatchmakingCancelled() {
+        this.showMessage('Stopped searching for a match');
+        this.multiplayerMenu.show();
+    }
+
+    updateLeaderboard(entries, playerId) {
+        this.leaderboardDisplay.updateEntries(entries, playerId);
+    }
+
     triggerPaddleHaptics(intensity = 1.0, duration = 100) {
         const currentTime = performance.now();
         if (currentTime - this.lastHitTime < this.hitCooldown) {
@@ -605,6 +1242,11 @@ export class Game {
     }
 
     updateRemotePaddlePosition(position, isHostPaddle) {
+        // Positions arrive in the host's frame; guests see the table flipped
+        if (!this.isLocalPlayer) {
+            position = flipTableSide(position);
+        }
+        
         // Update the appropriate paddle
         const targetPaddle = isHostPaddle ? 
             (this.isLocalPlayer ? this.playerPaddle : this.aiPaddle) :
@@ -628,10 +1270,16 @@ export class Game {
     }
 
     updateRemoteBallPosition(position, velocity) {
-        // Only non-host should update ball position from network
-        if (!this.isLocalPlayer) {
-            this.ball.getBall().position.copy(position);
-            this.ball.ballVelocity.copy(velocity);
+        // The server is authoritative for the ball in multiplayer, for both roles
+        if (this.isLocalPlayer) {
+            this.ball.setState(position, velocity);
+        } else {
+            this.ball.setState(flipTableSide(position), flipTableDirection(velocity));
+        }
+        
+        // The server served
+        if (this.phases.is(PHASE.SERVING) && (velocity.x !== 0 || velocity.z !== 0)) {
+            this.phases.transition(PHASE.RALLY);
         }
     }
 
@@ -648,19 +1296,26 @@ export class Game {
         this.aiScoreDisplay.updateScore(this.aiScore);
     }
 
-    handleRemoteCollision(type, position) {
+    handleRemoteCollision(type, position, side) {
+        // side is 'host' or 'guest': whose paddle was hit, or who scored.
+        // Spectators have no side of their own.
+        const isOwnSide = !this.isSpectating && side === (this.isLocalPlayer ? 'host' : 'guest');
+        
         if (type === 'paddle') {
-            // Remote player hit the paddle
             if (this.soundManager) {
                 this.soundManager.playPaddleHit();
             }
+            if (isOwnSide) {
+                this.triggerPaddleHaptics(0.7, 50);
+            }
         } else if (type === 'wall') {
             if (this.soundManager) {
-                this.soundManager.playWallHit();
+                this.soundManager.playWallBounce();
             }
         } else if (type === 'goal') {
-            if (this.soundManager) {
-                this.soundManager.playLose();
+            // The server serves again after SERVE_DELAY_MS, as we do locally
+            if (this.phases.isPlaying()) {
+                this.phases.transition(PHASE.POINT_SCORED, { ownPoint: isOwnSide || this.isSpectating });
             }
         }
         
@@ -674,16 +1329,19 @@ export class Game {
             // Check if we're in VR
             this.isInVR = this.renderer.xr.isPresenting;
 
+            // Spectators get locomotion but no paddle
+            const controlledPaddle = this.isSpectating ? null : this.playerPaddle.getPaddle();
+
             if (this.vrController && this.isInVR) {
                 this.vrController.checkControllerState(
                     this.vrController.controllers[0],
                     'left',
-                    this.playerPaddle.getPaddle()
+                    controlledPaddle
                 );
                 this.vrController.checkControllerState(
                     this.vrController.controllers[1],
                     'right',
-                    this.playerPaddle.getPaddle()
+                    controlledPaddle
                 );
                 
                 // Send VR controller data over the network in multiplayer mode
@@ -695,10 +1353,16 @@ export class Game {
                 }
             }
 
+            // Spectators fly a free camera instead of moving a paddle
+            if (this.isSpectating && !this.isInVR) {
+                this.spectatorCamera.update(delta);
+            }
+
             // Handle desktop controls when not in VR
-            if (!this.isInVR && this.isGameStarted) {
+            const isPaused = this.phases.is(PHASE.PAUSED);
+            if (!this.isInVR && this.isGameStarted && !isPaused && !this.isSpectating) {
                 // Handle keyboard paddle movement
-                const paddleSpeed = 0.02;
+                const paddleSpeed = KEYBOARD_PADDLE_SPEED * delta;
                 const paddle = this.playerPaddle.getPaddle();
                 
                 if (this.desktopControls.keys['ArrowLeft'] || this.desktopControls.keys['a']) {
@@ -713,7 +1377,7 @@ export class Game {
             }
 
             // For desktop mode, use mouse position for paddle control when mouse is down
-            if (!this.isInVR && this.desktopControls.isMouseDown) {
+            if (!this.isInVR && this.desktopControls.isMouseDown && !isPaused && !this.isSpectating) {
                 const paddleX = THREE.MathUtils.clamp(this.desktopControls.mouseX * 1.2, -0.6, 0.6);
                 this.playerPaddle.getPaddle().position.x = paddleX;
             }
@@ -736,7 +1400,7 @@ export class Game {
                             this.vrController.checkControllerState(
                                 controller,
                                 side,
-                                this.playerPaddle.getPaddle()
+                                controlledPaddle
                             );
                         }
                     }
@@ -764,7 +1428,7 @@ export class Game {
                 const rightIntersects = this.multiplayerMenu.checkIntersection(this.vrController.controllers[1]);
                 
                 // Unhighlight all buttons first
-                ['singleplayer', 'host', 'join', 'back'].forEach(buttonKey => {
+                this.multiplayerMenu.getActiveButtonKeys().forEach(buttonKey => {
                     this.multiplayerMenu.unhighlightButton(buttonKey);
                 });
                 
@@ -849,20 +1513,7 @@ export class Game {
                                         }
                                     } else {
                                         console.log('Starting single player game in VR');
-                                        console.log(`Game state before starting: isGameStarted=${this.isGameStarted}, isGamePaused=${this.isGamePaused}`);
-                                        this.isGameStarted = true;
-                                        this.playerScore = 0;
-                                        this.aiScore = 0;
-                                        this.playerScoreDisplay.updateScore(0);
-                                        this.aiScoreDisplay.updateScore(0);
-                                        
-                                        this.ball.start();
-                                        this.timer.start();
-                                        if (this.soundManager) {
-                                            this.soundManager.startBackgroundMusic();
-                                        }
-                                        this.startButton.hide();
-                                        console.log(`Game state after starting: isGameStarted=${this.isGameStarted}, isGamePaused=${this.isGamePaused}`);
+                                        this.startSinglePlayerGame();
                                     }
                                 } else {
                                     console.log("Controller has NOT been released since button press, waiting for release");
@@ -876,82 +1527,224 @@ export class Game {
                 }
             }
 
-            if (this.isGameStarted) {
-                // Update the timer if the game is active
-                if (!this.isGamePaused) {
-                    this.timer.update();
-                    
-                    // Update ball movement - add this missing logic
-                    const collision = this.ball.update(this.clock.getDelta(), this.playerPaddle, this.aiPaddle);
-                    
-                    // Handle collisions and scoring
-                    if (collision === 'player' || collision === 'ai') {
-                        // Play sound and trigger haptics for paddle hits
-                        if (this.soundManager) {
-                            this.soundManager.playPaddleHit();
-                        }
-                        this.triggerPaddleHaptics(0.7, 50);
-                    } else if (collision === 'player_score') {
-                        // AI scored
-                        this.aiScore++;
-                        this.aiScoreDisplay.updateScore(this.aiScore);
-                        if (this.soundManager) {
-                            this.soundManager.playScore();
-                        }
-                        // Start the ball again after short delay
-                        setTimeout(() => {
-                            if (this.isGameStarted && !this.isGamePaused) {
-                                this.ball.start();
-                            }
-                        }, 1000);
-                    } else if (collision === 'ai_score') {
-                        // Player scored
-                        this.playerScore++;
-                        this.playerScoreDisplay.updateScore(this.playerScore);
-                        if (this.soundManager) {
-                            this.soundManager.playScore();
-                        }
-                        // Start the ball again after short delay
-                        setTimeout(() => {
-                            if (this.isGameStarted && !this.isGamePaused) {
-                                this.ball.start();
-                            }
-                        }, 1000);
-                    }
-                    
-                    // Update AI paddle for single player mode
-                    if (!this.isMultiplayer && this.aiPaddle && this.ball) {
-                        console.log("Updating AI paddle position to track ball");
-                        this.aiPaddle.updateAI(this.ball.getBall());
-                    }
-                    
-                    // In multiplayer mode, send paddle position to the other player
-                    if (this.isMultiplayer && this.multiplayerManager) {
-                        // Send our paddle position
-                        this.multiplayerManager.updatePaddlePosition(this.playerPaddle);
-                        
-                        // If we're the host, send ball position too
-                        if (this.isLocalPlayer) {
-                            this.multiplayerManager.updateBallPosition(
-                                this.ball.getBall().position,
-                                this.ball.ballVelocity
-                            );
-                        }
-                    }
-                }
-            }
+            this.updatePhase(delta);
 
             this.renderer.render(this.scene, this.camera);
         });
     }
 
+    // Per-frame work of the current phase. Phase time and the single player
+    // game advance in fixed steps (see FixedTimestep), so the game plays the
+    // same at any refresh rate; drawing and input follow the frame.
+    updatePhase(delta) {
+        const alpha = this.physicsStep.advance(delta, (dt) => this.stepPhase(dt));
+        
+        if (this.resumeCountdown) {
+            this.updateResumeCountdown(delta);
+        }
+        
+        if (this.phases.is(PHASE.ATTRACT)) {
+            this.ball.render(alpha);
+            return;
+        }
+        
+        if (!this.phases.isPlaying() || this.phases.is(PHASE.PAUSED)) return;
+        
+        // Only shows the time; the rules decide when it is up
+        this.timer.update();
+        
+        if (this.isMultiplayer) {
+            // Multiplayer: the server owns the ball, the score and the clock,
+            // we only draw its ball and report our paddle position
+            this.ball.renderRemote();
+            if (!this.isSpectating) {
+                this.multiplayerManager.updatePaddlePosition(this.playerPaddle);
+            }
+            return;
+        }
+        
+        // Between the last two physics steps
+        this.ball.render(alpha);
+    }
+
+    // One fixed step of dt seconds: phase time, the countdown, the attract
+    // mode demo and the single player game
+    stepPhase(dt) {
+        this.phases.update(dt * 1000);
+        
+        if (this.phases.is(PHASE.ATTRACT)) {
+            this.stepAttractMode(dt);
+            return;
+        }
+        if (this.isIdleOnStartScreen()) {
+            this.idleMs += dt * 1000;
+            if (this.idleMs >= ATTRACT_IDLE_MS) {
+                this.phases.transition(PHASE.ATTRACT);
+            }
+        }
+        
+        if (this.phases.is(PHASE.COUNTDOWN)) {
+            this.updateCountdown();
+        }
+        
+        if (this.isMultiplayer) {
+            // The server serves (see updateRemoteBallPosition); we keep its time
+            if (this.phases.is(PHASE.COUNTDOWN) && this.phases.timeInPhase >= COUNTDOWN_MS) {
+                this.phases.transition(PHASE.SERVING);
+            } else if (this.phases.is(PHASE.POINT_SCORED) && this.phases.timeInPhase >= SERVE_DELAY_MS) {
+                this.phases.transition(PHASE.SERVING);
+            }
+            return;
+        }
+        
+        if (this.phases.isPlaying() && !this.phases.is(PHASE.PAUSED)) {
+            this.stepSimulation(dt);
+        }
+    }
+
+    // 3, 2, 1 before the first serve
+    updateCountdown() {
+        const secondsLeft = Math.ceil((COUNTDOWN_MS - this.phases.timeInPhase) / 1000);
+        if (secondsLeft > 0 && secondsLeft !== this.countdownShown) {
+            this.countdownShown = secondsLeft;
+            this.showMessage(`${secondsLeft}`, 900);
+        }
+    }
+
+    // One step of the single player game. We are the host (near) side of
+    // the simulation and the AI the guest.
+    stepSimulation(dt) {
+        const { simulation } = this;
+        const playerPosition = this.playerPaddle.getPosition();
+        simulation.setPaddle('host', playerPosition.x, playerPosition.y);
+        
+        // Campaign opponents that surge late play harder as the end nears
+        if (this.opponent && this.opponent.lateSurge) {
+            const { score, elapsed } = simulation;
+            const progress = matchProgress(this.matchRules, score.host, score.guest, elapsed);
+            this.aiPaddle.setProfile(opponentProfile(this.opponent, progress));
+        }
+        
+        // The AI plays on the simulated ball, not the drawn one
+        this.aiPaddle.updateAI(simulation.ball, dt, { opponent: simulation.paddles.host });
+        const aiPosition = this.aiPaddle.getPosition();
+        simulation.setPaddle('guest', aiPosition.x, aiPosition.y);
+        
+        this.ball.markPosition();
+        for (const event of simulation.step(dt)) {
+            this.handleSimulationEvent(event);
+        }
+    }
+
+    // The phases, score and effects follow what happened in the simulation
+    handleSimulationEvent(event) {
+        this.adaptToPlayer(event);
+        
+        if (event.type === SIM_EVENT.SERVE) {
+            this.phases.transition(PHASE.SERVING);
+            this.phases.transition(PHASE.RALLY);
+        } else if (event.type === SIM_EVENT.HIT) {
+            // Play sound and trigger haptics for paddle hits
+            if (this.soundManager) {
+                this.soundManager.playPaddleHit();
+            }
+            this.triggerPaddleHaptics(0.7, 50);
+        } else if (event.type === SIM_EVENT.POINT) {
+            this.ball.markPosition();
+            this.playerScore = event.score.host;
+            this.aiScore = event.score.guest;
+            this.playerScoreDisplay.updateScore(this.playerScore);
+            this.aiScoreDisplay.updateScore(this.aiScore);
+            
+            // Serve again after a short break, unless that point ended the game
+            this.phases.transition(PHASE.POINT_SCORED, { ownPoint: event.side === 'host' });
+        } else if (event.type === SIM_EVENT.OVERTIME) {
+            this.startOvertime();
+        } else if (event.type === SIM_EVENT.GAME_OVER) {
+            this.finishSinglePlayerGame(event.result);
+        }
+    }
+
+    // Adaptive AI: track how the player is doing and retune the AI after
+    // every point (see AdaptiveDifficulty)
+    adaptToPlayer(event) {
+        if (!this.isAdaptiveGame()) return;
+        const adaptive = this.adaptiveDifficulty;
+        
+        if (event.type === SIM_EVENT.HIT && event.side === 'host') {
+            adaptive.recordReturn();
+        } else if (event.type === SIM_EVENT.POINT) {
+            const score = { player: event.score.host, ai: event.score.guest };
+            this.aiPaddle.setProfile(adaptive.recordPoint(event.side === 'host', event.rallyHits, score));
+            writeStorage(SKILL_STORAGE_KEY, adaptive.settledSkill.toFixed(3));
+            this.refreshDifficultyDebug();
+        }
+    }
+
+    // Only the start button showing: no menu, room, search or game
+    isIdleOnStartScreen() {
+        return this.phases.is(PHASE.MENU) && this.startButton.button.visible && !this.multiplayerMenu.isVisible;
+    }
+
+    // Someone is using the keyboard, mouse or a controller: the start
+    // screen is not idle, and the attract mode demo makes way for them
+    noteActivity() {
+        this.idleMs = 0;
+        if (this.phases.is(PHASE.ATTRACT)) {
+            this.resetGame();
+        }
+    }
+
+    // One step of the attract mode demo: two AIs play each other on the
+    // simulation, ours on the near paddle
+    stepAttractMode(dt) {
+        const { simulation } = this;
+        const { host, guest } = simulation.paddles;
+        const playerPosition = this.playerPaddle.getPosition();
+        this.attractAI.update(playerPosition, simulation.ball, dt, { opponent: guest });
+        simulation.setPaddle('host', playerPosition.x, playerPosition.y);
+        
+        this.aiPaddle.updateAI(simulation.ball, dt, { opponent: host });
+        const aiPosition = this.aiPaddle.getPosition();
+        simulation.setPaddle('guest', aiPosition.x, aiPosition.y);
+        
+        this.ball.markPosition();
+        for (const event of simulation.step(dt)) {
+            this.handleAttractEvent(event);
+        }
+    }
+
+    // The demo's scores and sounds; a finished game starts over
+    handleAttractEvent(event) {
+        if (event.type === SIM_EVENT.SERVE) {
+            this.playerScoreDisplay.updateScore(this.simulation.score.host);
+            this.aiScoreDisplay.updateScore(this.simulation.score.guest);
+            this.showMessage('DEMO - PRESS ANY BUTTON TO PLAY', 4000);
+        } else if (event.type === SIM_EVENT.HIT) {
+            if (this.soundManager) {
+                this.soundManager.playPaddleHit();
+            }
+        } else if (event.type === SIM_EVENT.POINT) {
+            this.ball.markPosition();
+            this.playerScoreDisplay.updateScore(event.score.host);
+            this.aiScoreDisplay.updateScore(event.score.guest);
+            if (this.soundManager) {
+                this.soundManager.playScore();
+            }
+        } else if (event.type === SIM_EVENT.GAME_OVER) {
+            // The final score stays up until the next game's first serve
+            const winner = event.result.winner === 'host' ? 'AI ONE' : 'AI TWO';
+            this.showMessage(`${winner} WINS THE DEMO`, 3000);
+            this.simulation.reset();
+        }
+    }
+
     // Add method to reset the game state
     resetGame() {
         console.log("Resetting game state...");
         
-        // Reset game state flags
-        this.isGameStarted = false;
-        this.isGamePaused = false;
+        // Back to the start screen
+        this.phases.transition(PHASE.MENU);
         this.isMultiplayer = false;
         
         // Reset scores
@@ -965,8 +1758,8 @@ export class Game {
         // Reset ball position
         if (this.ball) this.ball.reset();
         
-        // Reset timer
-        if (this.timer) this.timer.reset();
+        // Reset timer, back to the single player rules
+        if (this.timer) this.setTimerRules(this.matchRules);
         
         // Reset paddle positions
         if (this.playerPaddle && this.playerPaddle.getPaddle()) {
@@ -979,6 +1772,8 @@ export class Game {
             this.aiPaddle.getPaddle().position.set(0, 1.0, -1.9);
         }
         
+        if (this.difficultyDebug) this.refreshDifficultyDebug();
+        
         // Hide multiplayer menu if visible
         if (this.multiplayerMenu && this.multiplayerMenu.isVisible) {
             this.multiplayerMenu.hide();
@@ -991,15 +1786,12 @@ export class Game {
             this.startButton.show();
         }
         
-        // Reset sound
-        if (this.soundManager) {
-            this.soundManager.stopBackgroundMusic();
-        }
-        
         console.log("Game reset completed");
     }
 
-    // Create visual representations of remote player's controllers
+    // Create visual representations of remote player's controllers.
+    // One pair per role: players only ever see their opponent's pair,
+    // spectators see both.
     createRemoteControllerVisuals() {
         // Create group to hold remote controller models
         this.remoteControllerGroup = new THREE.Group();
@@ -1007,71 +1799,77 @@ export class Game {
         
         const controllerModelFactory = new XRControllerModelFactory();
         
-        // Left remote controller
         this.remoteControllers = {
-            left: new THREE.Group(),
-            right: new THREE.Group()
+            host: { left: new THREE.Group(), right: new THREE.Group() },
+            guest: { left: new THREE.Group(), right: new THREE.Group() }
         };
         
         // Create basic controller models
-        for (const side of ['left', 'right']) {
-            // Add controller grip for model
-            const grip = new THREE.Group();
-            grip.add(controllerModelFactory.createControllerModel(grip));
-            this.remoteControllers[side].add(grip);
-            
-            // Add a ray to represent controller direction
-            const ray = new THREE.Group();
-            const rayGeometry = new THREE.BufferGeometry().setFromPoints([
-                new THREE.Vector3(0, 0, 0),
-                new THREE.Vector3(0, 0, -1)
-            ]);
-            
-            const rayMaterial = new THREE.LineBasicMaterial({
-                color: side === 'left' ? 0x0088ff : 0xff8800,
-                linewidth: 2
-            });
-            
-            const rayLine = new THREE.Line(rayGeometry, rayMaterial);
-            rayLine.scale.z = 0.5;
-            ray.add(rayLine);
-            
-            this.remoteControllers[side].add(ray);
-            
-            // Initially hide remote controllers
-            this.remoteControllers[side].visible = false;
-            
-            // Add to remote controller group
-            this.remoteControllerGroup.add(this.remoteControllers[side]);
+        for (const role of ['host', 'guest']) {
+            for (const side of ['left', 'right']) {
+                const controller = this.remoteControllers[role][side];
+                
+                // Add controller grip for model
+                const grip = new THREE.Group();
+                grip.add(controllerModelFactory.createControllerModel(grip));
+                controller.add(grip);
+                
+                // Add a ray to represent controller direction
+                const ray = new THREE.Group();
+                const rayGeometry = new THREE.BufferGeometry().setFromPoints([
+                    new THREE.Vector3(0, 0, 0),
+                    new THREE.Vector3(0, 0, -1)
+                ]);
+                
+                const rayMaterial = new THREE.LineBasicMaterial({
+                    color: side === 'left' ? 0x0088ff : 0xff8800,
+                    linewidth: 2
+                });
+                
+                const rayLine = new THREE.Line(rayGeometry, rayMaterial);
+                rayLine.scale.z = 0.5;
+                ray.add(rayLine);
+                
+                controller.add(ray);
+                
+                // Initially hide remote controllers
+                controller.visible = false;
+                
+                // Add to remote controller group
+                this.remoteControllerGroup.add(controller);
+            }
         }
     }
 
     // Update remote controller visualizations based on network data
+    // (host frame, like paddle positions)
     updateRemoteControllers(data) {
         if (!this.isMultiplayer || !this.remoteControllers) return;
         
-        // Only show remote controllers in multiplayer mode
-        const isRemotePlayerInVR = (data.isHost !== this.isLocalPlayer);
-        if (!isRemotePlayerInVR) return;
+        // Players only show their opponent's controllers
+        if (!this.isSpectating && data.isHost === this.isLocalPlayer) return;
         
-        // Make remote controllers visible
-        this.remoteControllers.left.visible = true;
-        this.remoteControllers.right.visible = true;
+        const controllers = this.remoteControllers[data.isHost ? 'host' : 'guest'];
         
-        // Update left controller
-        if (data.leftController) {
-            const position = data.leftController.position;
-            const rotation = data.leftController.rotation;
-            this.remoteControllers.left.position.set(position.x, position.y, position.z);
-            this.remoteControllers.left.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
-        }
-        
-        // Update right controller
-        if (data.rightController) {
-            const position = data.rightController.position;
-            const rotation = data.rightController.rotation;
-            this.remoteControllers.right.position.set(position.x, position.y, position.z);
-            this.remoteControllers.right.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+        for (const side of ['left', 'right']) {
+            const controllerData = data[`${side}Controller`];
+            if (!controllerData) continue;
+            
+            const controller = controllers[side];
+            controller.visible = true;
+            controller.position.set(controllerData.position.x, controllerData.position.y, controllerData.position.z);
+            controller.quaternion.set(
+                controllerData.rotation.x,
+                controllerData.rotation.y,
+                controllerData.rotation.z,
+                controllerData.rotation.w
+            );
+            
+            // Guests see the table turned around
+            if (!this.isLocalPlayer) {
+                controller.position.copy(flipTableSide(controller.position));
+                controller.quaternion.copy(flipTableRotation(controller.quaternion));
+            }
         }
     }
 }
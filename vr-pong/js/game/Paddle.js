@@ -1,21 +1,17 @@
 import * as THREE from 'three';
+import { PADDLE } from '../shared/PongPhysics.mjs';
+import { PaddleAI, DEFAULT_DIFFICULTY } from '../shared/PaddleAI.mjs';
 
 export class Paddle {
-    constructor(scene, isAI = false) {
+    // difficulty: an AI_DIFFICULTY id, for the AI paddle
+    constructor(scene, isAI = false, difficulty = DEFAULT_DIFFICULTY) {
         this.scene = scene;
         this.isAI = isAI;
         this.width = 0.3;      // Keep width the same for reasonable hit area
         this.height = 0.1;     // Keep height the same for visibility
         this.depth = 0.02;     // Make it much thinner (was 0.1)
-        this.targetPosition = new THREE.Vector3();
-        this.smoothSpeed = 0.35; // Increased from 0.25 for even faster AI movement
-        this.lastPredictedX = 0;
-        this.lastUpdateTime = 0;
-        this.updateInterval = 30; // Update even more frequently (was 40)
-        this.initialSpeed = 0.015;
-        this.currentSpeed = this.initialSpeed;
-        this.speedIncrement = 0.001; // Small increment for AI speed
-        this.maxSpeed = 0.04; // Increased maximum speed to 0.04
+        // The AI's moves live in the shared PaddleAI; this class only draws
+        this.ai = isAI ? new PaddleAI({ difficulty }) : null;
         this.createPaddle();
     }
 
@@ -34,7 +30,7 @@ export class Paddle {
         
         // Use fixed Z positions to ensure paddles are always on opposite sides
         // AI paddle at far end (z = -1.9), player paddle at near end (z = -0.1)
-        const zPosition = this.isAI ? -1.9 : -0.1;
+        const zPosition = this.isAI ? PADDLE.farZ : PADDLE.nearZ;
         this.paddle.position.set(0, 0.9, zPosition);
 
         // Add glow effect
@@ -82,59 +78,19 @@ export class Paddle {
         this.paddle.position.set(position.x, position.y, currentZ);
     }
 
-    lerp(start, end, t) {
-        return start * (1 - t) + end * t;
+    setDifficulty(id) {
+        if (this.ai) this.ai.setDifficulty(id);
     }
 
-    updateAI(ball, difficulty = 0.15) { // Increased base difficulty
-        if (!this.isAI) return;
-
-        const currentTime = performance.now();
-        const targetX = ball.position.x;
-
-        // Update prediction less frequently
-        if (currentTime - this.lastUpdateTime > this.updateInterval) {
-            // Calculate base target position
-            let newTargetX = targetX;
-
-            // Add very small random offset for natural movement
-            const randomOffset = (Math.random() - 0.5) * 0.01; // Reduced randomness
-            newTargetX += randomOffset;
-
-            // Smooth transition to new target
-            this.lastPredictedX = this.lerp(
-                this.lastPredictedX,
-                newTargetX,
-                0.5 // Faster target updating
-            );
-
-            this.lastUpdateTime = currentTime;
-        }
-
-        // Calculate smooth movement
-        const currentX = this.paddle.position.x;
-        const diff = this.lastPredictedX - currentX;
-        
-        // Use quadratic easing for smoother acceleration/deceleration
-        const direction = Math.sign(diff);
-        const distance = Math.abs(diff);
-        let speed = Math.min(distance * distance * 4, difficulty); // Increased acceleration
-
-        // Move towards target
-        if (Math.abs(diff) > 0.001) {
-            const movement = direction * speed;
-            const newX = this.lerp(
-                currentX,
-                currentX + movement,
-                this.smoothSpeed
-            );
+    // Adjust the AI mid-game (see PaddleAI.setProfile)
+    setProfile(profile) {
+        if (this.ai) this.ai.setProfile(profile);
+    }
 
-            // Apply position with constraints
-            this.paddle.position.x = THREE.MathUtils.clamp(
-                newX,
-                -0.6,
-                0.6
-            );
-        }
+    // Follow the ball (its simulation state) for delta seconds. options
+    // as for PaddleAI.update: { opponent, maxSpeed }
+    updateAI(ball, delta, options) {
+        if (!this.isAI) return;
+        this.ai.update(this.paddle.position, ball, delta, options);
     }
 }
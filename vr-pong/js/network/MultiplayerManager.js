@@ -1,36 +1,96 @@
 // Use the global io from socket.io CDN
 import * as THREE from 'three';
+import { flipTableSide, flipTableRotation } from '../shared/PongPhysics.mjs';
+import { readStorage, writeStorage } from '../utils/Storage.js';
+
+// localStorage keys for the persistent player identity
+const STORAGE_KEYS = {
+    playerId: 'vrPong.playerId',
+    playerToken: 'vrPong.playerToken',
+    displayName: 'vrPong.displayName'
+};
+
+// Matchmaking region tag: the continent part of the browser's time zone
+// (e.g. 'europe' for Europe/Berlin). See REGIONS in server/validation.js.
+const REGIONS = ['africa', 'america', 'antarctica', 'asia', 'atlantic', 'australia', 'europe', 'indian', 'pacific'];
+
+function getRegion() {
+    try {
+        const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+        const region = timeZone.split('/')[0].toLowerCase();
+        return REGIONS.includes(region) ? region : null;
+    } catch (e) {
+        return null;
+    }
+}
 
 export class MultiplayerManager {
     constructor(game) {
         this.game = game;
+        this.socket = null;
+        this.roomId = null;
+        this.isHost = false;
+        this.isConnected = false;
+        this.isMultiplayerActive = false;
+        this.opponentId = null;
+        this.opponentName = null;
+        
+        // When the room's games end, from the server (see js/shared/MatchRules.mjs)
+        this.matchRules = null;
+        
+        // Watching a room without a seat (see spectateRoom)
+        this.isSpectator = false;
+        
+        // Waiting in the matchmaking queue (see quickJoin)
+        this.isSearching = false;
+        
+        // Sending our paddle; Game turns it on and off with the phase
+        this.isStreaming = false;
+        
+        // Persistent identity issued by the server (see playerIdentity)
+        this.playerId = readStorage(STORAGE_KEYS.playerId);
+        this.displayName = readStorage(STORAGE_KEYS.displayName);
+        
+        this.connect();
+    }
+
+    // The server says where its socket lives (GET /api/config); when it
+    // doesn't, or the page can't ask, the socket is on the page's own origin
+    async fetchSocketUrl() {
+        try {
+            const response = await fetch('/api/config');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { socketUrl } = await response.json();
+            return socketUrl || window.location.origin;
+        } catch (e) {
+            console.warn('Could not load server config, using the page origin:', e);
+            return window.location.origin;
+        }
+    }
+
+    async connect() {
         try {
             // Access the global socket.io instance
             if (typeof io === 'undefined') {
                 throw new Error('Socket.IO not loaded');
             }
             
-            // Try to get the server address, defaulting to localhost if the page is served locally
-            const protocol = window.location.protocol === 'https:' ? 'https://' : 'http://';
-            const host = window.location.hostname === '127.0.0.1' || window.location.hostname === 'localhost' 
-                ? 'localhost:8443' 
-                : window.location.hostname + ':8443';
-                
-            console.log(`Connecting to server at ${protocol}${host}`);
+            const url = await this.fetchSocketUrl();
+            console.log(`Connecting to server at ${url}`);
             
-            // Connect with explicit URL to avoid connection issues
-            this.socket = io(`${protocol}${host}`, {
+            // auth is re-read on every (re)connect, so the server always sees
+            // the identity it issued last.
+            this.socket = io(url, {
                 reconnectionAttempts: 5,
                 timeout: 10000,
-                transports: ['websocket', 'polling']
+                transports: ['websocket', 'polling'],
+                auth: (cb) => cb({
+                    playerId: readStorage(STORAGE_KEYS.playerId),
+                    playerToken: readStorage(STORAGE_KEYS.playerToken),
+                    displayName: readStorage(STORAGE_KEYS.displayName)
+                })
             });
             
-            this.roomId = null;
-            this.isHost = false;
-            this.isConnected = false;
-            this.isMultiplayerActive = false;
-            this.opponentId = null;
-            
             this.setupSocketListeners();
         } catch (e) {
             console.error('Error connecting to server:', e);
@@ -45,48 +105,175 @@ export class MultiplayerManager {
         this.socket.on('connect', () => {
             console.log('Connected to server with ID:', this.socket.id);
             this.isConnected = true;
+            // The server puts us back in any seat it is holding for our player ID
         });
 
         // Disconnect event
-        this.socket.on('disconnect', () => {
-            console.log('Disconnected from server');
+        this.socket.on('disconnect', (reason) => {
+            console.log('Disconnected from server:', reason);
             this.isConnected = false;
-            this.isMultiplayerActive = false;
-            this.roomId = null;
-            this.isHost = false;
-            this.opponentId = null;
+            
+            // The server cut us off (e.g. for flooding it); Socket.IO won't
+            // reconnect after that, so there is nothing to wait for
+            if (reason === 'io server disconnect') {
+                const message = 'The server closed the connection. Reload to play online again';
+                const wasSpectator = this.isSpectator;
+                const wasPlaying = this.isMultiplayerActive;
+                this.resetMultiplayerState();
+                if (wasSpectator) {
+                    this.game.stopSpectating(message);
+                } else if (wasPlaying) {
+                    this.game.endMultiplayerGame(message);
+                } else {
+                    this.game.showMessage(message);
+                }
+                return;
+            }
+            
+            // The server holds our seat for a while; pause and wait for the reconnect
+            if (this.isMultiplayerActive && reason !== 'io client disconnect') {
+                this.game.pauseMultiplayerGame('Connection lost. Reconnecting...');
+                return;
+            }
+            
+            // Spectators hold no seat; just leave the watched game
+            if (this.isSpectator) {
+                this.resetMultiplayerState();
+                this.game.stopSpectating('Disconnected from multiplayer session');
+                return;
+            }
+            
+            this.resetMultiplayerState();
             
             // Show disconnect message in VR
             this.game.showMessage('Disconnected from multiplayer session');
         });
 
+        // Socket.IO gave up reconnecting, so the held seat is lost too
+        this.socket.io.on('reconnect_failed', () => {
+            console.log('Reconnection failed');
+            if (this.isMultiplayerActive) {
+                this.resetMultiplayerState();
+                this.game.endMultiplayerGame('Could not reconnect to the game');
+            }
+        });
+
+        // Our persistent identity; kept so reloads and reconnects are the same player
+        this.socket.on('playerIdentity', (data) => {
+            this.playerId = data.playerId;
+            this.displayName = data.displayName;
+            writeStorage(STORAGE_KEYS.playerId, data.playerId);
+            writeStorage(STORAGE_KEYS.playerToken, data.playerToken);
+            writeStorage(STORAGE_KEYS.displayName, data.displayName);
+            console.log(`Playing as ${data.displayName} (${data.playerId})`);
+        });
+
+        // Seat reclaimed after a reconnect: same room, same role, same score
+        this.socket.on('gameRejoined', (data) => {
+            console.log('Rejoined game:', data);
+            this.roomId = data.roomId;
+            this.isHost = data.role === 'host';
+            this.isMultiplayerActive = true;
+            this.opponentId = this.isHost ? data.guestId : data.hostId;
+            this.opponentName = this.isHost ? data.guestName : data.hostName;
+            this.matchRules = data.rules || null;
+            
+            this.game.updateMultiplayerStatus(true, this.isHost, this.opponentName);
+            if (data.isPlaying && !this.game.isGameStarted) {
+                this.game.startMultiplayerGame(this.isHost, data.clock);
+            }
+            this.game.updateRemoteScore(data.hostScore, data.guestScore);
+            this.game.updateSeries(data.series);
+            
+            // Came back to a finished game: the rematch vote is still open
+            if (data.lastResult) {
+                this.game.showGameOver({ ...data.lastResult, series: data.series }, this.isHost ? 'host' : 'guest');
+                this.game.updateRematchVotes(data.rematchVotes, this.isHost ? 'host' : 'guest');
+            }
+            
+            if (data.isPaused) {
+                this.game.pauseMultiplayerGame('Reconnected. Waiting for opponent...');
+            } else {
+                this.game.resumeMultiplayerGame();
+            }
+        });
+
+        // Opponent dropped; the server pauses the game and holds their seat
+        this.socket.on('opponentConnectionLost', (data) => {
+            const seconds = Math.round(data.graceMs / 1000);
+            const who = this.isSpectator ? `The ${data.role}` : 'Opponent';
+            this.game.pauseMultiplayerGame(`${who} disconnected. Waiting up to ${seconds}s for them to return...`);
+        });
+
+        this.socket.on('opponentReconnected', () => {
+            this.game.showMessage('Opponent reconnected!');
+        });
+
+        this.socket.on('gameResumed', () => {
+            this.game.resumeMultiplayerGame();
+        });
+        
+        // A player paused the game for everyone, out of their pause budget
+        this.socket.on('gamePaused', (data) => {
+            this.game.showPause(data, this.isSpectator ? null : this.isHost ? 'host' : 'guest');
+        });
+        
+        // The pause is ending; gameResumed follows after the countdown
+        this.socket.on('gameResuming', (data) => {
+            this.game.startResumeCountdown(data.countdownMs);
+        });
+        
+        this.socket.on('pauseRejected', (data) => {
+            this.game.showMessage(data.message);
+        });
+
+        // Opponent left for good (or never came back)
+        this.socket.on('opponentDisconnected', () => {
+            console.log('Opponent disconnected');
+            this.resetMultiplayerState();
+            this.game.endMultiplayerGame('Your opponent left the game');
+        });
+
         // Game hosted successfully
         this.socket.on('gameHosted', (data) => {
             this.roomId = data.roomId;
             this.isHost = true;
             this.isMultiplayerActive = true;
+            this.matchRules = data.rules || null;
             
             console.log('Game hosted with room ID:', this.roomId);
             this.game.showMessage(`Game hosted! Room code: ${this.roomId}`);
             this.game.showMessage('Waiting for an opponent to join...', 5000);
             this.game.updateMultiplayerStatus(true, true);
+            this.game.updateSeries(data.series);
         });
 
         // Another player joined the game
         this.socket.on('playerJoined', (data) => {
             console.log('Player joined event received:', data);
+            this.matchRules = data.rules || null;
+            
+            // Spectators only need the names
+            if (this.isSpectator) {
+                this.game.updateSpectatorView(data.hostName, data.guestName);
+                this.game.updateSeries(data.series);
+                return;
+            }
             
             // Set the room ID if we're joining
             if (!this.isHost) {
                 this.roomId = data.roomId;
                 this.isMultiplayerActive = true;
-                this.game.updateMultiplayerStatus(true, false);
             }
             
+            this.opponentName = this.isHost ? data.guestName : data.hostName;
+            this.game.updateMultiplayerStatus(true, this.isHost, this.opponentName);
+            this.game.updateSeries(data.series);
+            
             if (this.isHost) {
                 this.opponentId = data.guestId;
                 console.log('As host, opponent joined with ID:', this.opponentId);
-                this.game.showMessage('A player has joined your game! You can now start the game.', 5000);
+                this.game.showMessage(`${this.opponentName} has joined your game! You can now start the game.`, 5000);
                 // Show the start button for the host
                 if (this.game.startButton) {
                     this.game.startButton.show();
@@ -94,25 +281,109 @@ export class MultiplayerManager {
             } else {
                 this.opponentId = data.hostId;
                 console.log('As guest, joined host with ID:', this.opponentId);
-                this.game.showMessage('Joined game successfully! Waiting for the host to start...', 5000);
+                this.game.showMessage(`Joined ${this.opponentName}'s game! Waiting for the host to start...`, 5000);
             }
         });
 
         // Game started
-        this.socket.on('gameStarted', () => {
+        this.socket.on('gameStarted', (data) => {
             console.log('Game started!');
-            this.game.startMultiplayerGame(this.isHost);
+            this.matchRules = (data && data.rules) || this.matchRules;
+            this.game.updateSeries(data && data.series);
+            // Spectators watch from the host's side (the world frame)
+            this.game.startMultiplayerGame(this.isHost || this.isSpectator);
+        });
+
+        // Tied when the clock ran out: the next point wins
+        this.socket.on('overtimeStarted', () => {
+            this.game.startOvertime();
+        });
+
+        // The server has decided the game (see evaluateMatch)
+        this.socket.on('gameOver', (data) => {
+            console.log('Game over:', data);
+            const perspective = this.isSpectator ? 'spectator' : this.isHost ? 'host' : 'guest';
+            this.game.showGameOver(data, perspective);
+        });
+
+        // Who wants to play again; the next game starts once both do
+        this.socket.on('rematchVoteUpdated', (data) => {
+            if (this.isSpectator) return;
+            this.game.updateRematchVotes(data.votes, this.isHost ? 'host' : 'guest');
+        });
+
+        // Now watching a room; the usual paddle, ball and score streams follow
+        this.socket.on('spectating', (data) => {
+            console.log('Spectating room:', data.roomId);
+            this.roomId = data.roomId;
+            this.isSpectator = true;
+            this.matchRules = data.rules || null;
+            this.game.startSpectating(data);
+            if (data.pause) {
+                this.game.showPause(data.pause, null);
+            }
+        });
+
+        this.socket.on('spectateError', (data) => {
+            console.log(`Could not spectate room ${data.roomId}: ${data.message}`);
+            this.game.showMessage(data.message);
+            this.resetMultiplayerState();
+        });
+
+        // The watched room closed (a player left for good)
+        this.socket.on('spectatedGameEnded', () => {
+            this.resetMultiplayerState();
+            this.game.stopSpectating('The game you were watching has ended');
+        });
+
+        // Open rooms for the lobby browser
+        this.socket.on('roomList', (data) => {
+            this.game.multiplayerMenu.setRoomList(data.rooms);
+        });
+
+        // How many people are watching this room (shown to players and spectators)
+        this.socket.on('spectatorCountUpdated', (data) => {
+            this.game.updateSpectatorCount(data.count);
+        });
+
+        // Top rated players, sent on connect and after every rated match
+        this.socket.on('leaderboardUpdated', (data) => {
+            this.game.updateLeaderboard(data.players, this.playerId);
+        });
+
+        // In the quick join queue; the server pairs us by rating and region
+        this.socket.on('matchmakingQueued', (data) => {
+            this.isSearching = true;
+            this.game.showMatchmakingStatus(0, data.estimatedWaitMs);
+        });
+        
+        this.socket.on('matchmakingStatus', (data) => {
+            if (!this.isSearching) return;
+            this.game.showMatchmakingStatus(data.waitedMs, data.estimatedWaitMs);
+        });
+        
+        this.socket.on('matchmakingCancelled', () => {
+            if (!this.isSearching) return;
+            this.isSearching = false;
+            this.game.onMatchmakingCancelled();
+        });
+        
+        // The server made a room for us and an opponent; playerJoined follows
+        // with the names, as if they had joined a hosted game
+        this.socket.on('matchFound', (data) => {
+            console.log(`Match found: room ${data.roomId} as ${data.role} after ${data.waitedMs}ms`);
+            this.isSearching = false;
+            this.roomId = data.roomId;
+            this.isHost = data.role === 'host';
+            this.isMultiplayerActive = true;
+            this.game.showMessage('Opponent found!');
         });
 
-        // No games available to join
-        this.socket.on('noGamesAvailable', () => {
-            console.log('No games available to join');
-            this.game.showMessage('No games available to join. Try hosting a game instead!');
-            // Reset multiplayer state
-            this.isMultiplayerActive = false;
-            this.roomId = null;
-            this.isHost = false;
-            this.opponentId = null;
+        // Joining a specific room failed (unknown code, full, already started...)
+        this.socket.on('joinRoomError', (data) => {
+            console.log(`Could not join room ${data.roomId}: ${data.reason}`);
+            this.game.showMessage(data.message);
+            this.resetMultiplayerState();
         });
 
         // Error message
@@ -129,11 +400,9 @@ export class MultiplayerManager {
             this.game.updateRemotePaddlePosition(position, data.isHost);
         });
 
-        // Receive ball position updates (guest only)
+        // Receive authoritative ball state from the server
         this.socket.on('ballPositionUpdated', (data) => {
-            if (!this.isHost) {
-                this.game.updateRemoteBallPosition(data.position, data.velocity);
-            }
+            this.game.updateRemoteBallPosition(data.position, data.velocity);
         });
 
         // Receive score updates
@@ -143,7 +412,7 @@ export class MultiplayerManager {
 
         // Receive collision events
         this.socket.on('remoteCollision', (data) => {
-            this.game.handleRemoteCollision(data.type, data.position);
+            this.game.handleRemoteCollision(data.type, data.position, data.side);
         });
 
         // Receive remote controller data
@@ -153,8 +422,9 @@ export class MultiplayerManager {
         });
     }
 
-    // Host a new game
-    hostGame() {
+    // Host a new game with the match rules picked in the menu
+    // seriesLength: best of 1, 3, 5 or 7
+    hostGame(seriesLength = 1) {
         if (!this.isConnected) {
             console.log('Cannot host: not connected to server');
             return false;
@@ -171,12 +441,12 @@ export class MultiplayerManager {
         this.isMultiplayerActive = false;
         this.opponentId = null;
         
-        console.log('Requesting to host a new game');
-        this.socket.emit('hostGame');
+        console.log(`Requesting to host a new game (best of ${seriesLength})`);
+        this.socket.emit('hostGame', { seriesLength, rules: this.game.matchRules.id });
         return true;
     }
 
-    // Join a game via quick match
+    // Join the matchmaking queue
     quickJoin() {
         if (!this.isConnected) {
             console.log('Cannot join: not connected to server');
@@ -190,15 +460,121 @@ export class MultiplayerManager {
             return false;
         }
         
+        if (this.isSearching) {
+            console.log('Already searching for a match');
+            return false;
+        }
+        
+        // Reset any previous host state
+        this.isHost = false;
+        this.roomId = null;
+        
+        const region = getRegion();
+        console.log(`Requesting a match (region ${region || 'unknown'})`);
+        this.socket.emit('quickJoin', region ? { region } : {});
+        return true;
+    }
+
+    // Ask for another game after a finished one
+    rematchVote() {
+        if (!this.socket || !this.roomId || this.isSpectator) return;
+        this.socket.emit('rematchVote', { roomId: this.roomId });
+    }
+
+    // Pause the game for both players; the server answers with gamePaused,
+    // or pauseRejected when our pause budget is spent
+    pauseGame() {
+        if (!this.socket || !this.roomId || this.isSpectator) return;
+        this.socket.emit('pauseGame', { roomId: this.roomId });
+    }
+
+    // End our pause early; the server answers with gameResuming
+    resumeGame() {
+        if (!this.socket || !this.roomId || this.isSpectator) return;
+        this.socket.emit('resumeGame', { roomId: this.roomId });
+    }
+
+    // Give up our seat; the opponent is told we left
+    leaveRoom() {
+        if (!this.socket || !this.roomId || this.isSpectator) return;
+        this.socket.emit('leaveRoom', { roomId: this.roomId });
+        this.resetMultiplayerState();
+    }
+
+    // Leave the matchmaking queue; the server answers with matchmakingCancelled
+    cancelMatchmaking() {
+        if (!this.isSearching || !this.socket) return;
+        this.socket.emit('cancelMatchmaking');
+    }
+
+    // Join a specific game by its room code
+    joinRoom(code) {
+        if (!this.isConnected) {
+            console.log('Cannot join: not connected to server');
+            return false;
+        }
+        
+        // Prevent joining if already in a game
+        if (this.isMultiplayerActive) {
+            console.log('Already in a multiplayer game');
+            this.game.showMessage('Already in a multiplayer game');
+            return false;
+        }
+        
+        const roomId = String(code || '').trim().toUpperCase();
+        if (!roomId) {
+            this.game.showMessage('Please enter a room code');
+            return false;
+        }
+        
         // Reset any previous host state
         this.isHost = false;
         this.roomId = null;
         
-        console.log('Requesting to quick join a game');
-        this.socket.emit('quickJoin');
+        console.log('Requesting to join room:', roomId);
+        this.socket.emit('joinRoom', { roomId });
+        return true;
+    }
+
+    // Ask for the open rooms; the answer arrives as roomList
+    listRooms() {
+        if (!this.isConnected) return false;
+        
+        this.socket.emit('listRooms');
+        return true;
+    }
+
+    // Watch a room by its code without taking a seat
+    spectateRoom(code) {
+        if (!this.isConnected) {
+            console.log('Cannot spectate: not connected to server');
+            return false;
+        }
+        
+        if (this.isMultiplayerActive) {
+            console.log('Already in a multiplayer game');
+            this.game.showMessage('Already in a multiplayer game');
+            return false;
+        }
+        
+        const roomId = String(code || '').trim().toUpperCase();
+        if (!roomId) {
+            this.game.showMessage('Please enter a room code');
+            return false;
+        }
+        
+        console.log('Requesting to spectate room:', roomId);
+        this.socket.emit('spectateRoom', { roomId });
         return true;
     }
 
+    stopSpectating() {
+        if (!this.isSpectator) return;
+        
+        this.socket.emit('stopSpectating');
+        this.resetMultiplayerState();
+    }
+
     // Start the game (host only)
     startGame() {
         if (!this.isHost || !this.roomId) {
@@ -217,40 +593,29 @@ export class MultiplayerManager {
         return true;
     }
 
+    // Paddle updates only go out while a point can be played
+    startStreaming() {
+        this.isStreaming = true;
+    }
+    
+    stopStreaming() {
+        this.isStreaming = false;
+    }
+
     // Send paddle position update
     updatePaddlePosition(paddle) {
-        if (!this.socket || !this.socket.connected) return;
+        if (!this.isStreaming || !this.socket || !this.socket.connected) return;
         
-        const paddlePos = paddle.getPaddle().position;
+        // The server works in the host's frame; guests see the table flipped.
+        // It also knows which paddle is ours from our seat.
+        const localPos = paddle.getPaddle().position;
+        const paddlePos = this.isHost ? localPos : flipTableSide(localPos);
         console.log(`Sending paddle position: x=${paddlePos.x.toFixed(2)}, y=${paddlePos.y.toFixed(2)}, z=${paddlePos.z.toFixed(2)}`);
         
         this.socket.emit('updatePaddlePosition', {
             x: paddlePos.x,
             y: paddlePos.y,
-            z: paddlePos.z,
-            isHost: this.isHost
-        });
-    }
-
-    // Send ball position update (host only)
-    updateBallPosition(position, velocity) {
-        if (!this.isMultiplayerActive || !this.roomId || !this.isHost) return;
-        
-        this.socket.emit('updateBallPosition', {
-            roomId: this.roomId,
-            position,
-            velocity
-        });
-    }
-
-    // Send score update (host only)
-    updateScore(hostScore, guestScore) {
-        if (!this.isMultiplayerActive || !this.roomId || !this.isHost) return;
-        
-        this.socket.emit('updateScore', {
-            roomId: this.roomId,
-            hostScore,
-            guestScore
+            z: paddlePos.z
         });
     }
 
@@ -281,10 +646,17 @@ export class MultiplayerManager {
         const rightRotation = new THREE.Quaternion();
         rightController.getWorldPosition(rightPosition);
         rightController.getWorldQuaternion(rightRotation);
+        
+        // Send in the host's frame like paddle positions
+        if (!this.isHost) {
+            leftPosition.copy(flipTableSide(leftPosition));
+            rightPosition.copy(flipTableSide(rightPosition));
+            leftRotation.copy(flipTableRotation(leftRotation));
+            rightRotation.copy(flipTableRotation(rightRotation));
+        }
 
         const controllerData = {
             roomId: this.roomId,
-            isHost: this.isHost,
             leftController: {
                 position: { x: leftPosition.x, y: leftPosition.y, z: leftPosition.z },
                 rotation: { x: leftRotation.x, y: leftRotation.y, z: leftRotation.z, w: leftRotation.w }
@@ -299,6 +671,31 @@ export class MultiplayerManager {
         this.socket.emit('updateControllerData', controllerData);
     }
 
+    // Change the name opponents see; the server confirms with playerIdentity
+    setDisplayName(name) {
+        const displayName = String(name || '').trim();
+        if (!displayName) return false;
+        
+        writeStorage(STORAGE_KEYS.displayName, displayName);
+        if (this.socket && this.socket.connected) {
+            this.socket.emit('setDisplayName', { displayName });
+        }
+        return true;
+    }
+
+    // Forget the current room and role
+    resetMultiplayerState() {
+        this.isMultiplayerActive = false;
+        this.roomId = null;
+        this.isHost = false;
+        this.opponentId = null;
+        this.opponentName = null;
+        this.matchRules = null;
+        this.isSpectator = false;
+        this.isSearching = false;
+        this.isStreaming = false;
+    }
+
     // Check if we're in a multiplayer game
     isInMultiplayerGame() {
         return this.isMultiplayerActive;
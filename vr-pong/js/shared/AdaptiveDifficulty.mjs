@@ -0,0 +1,108 @@
+// Adaptive single player: the AI's level follows the player, point by
+// point, so that matches stay close. Its skill runs from 0 (the easy
+// level) to 1 (expert) and picks a profile in between (see
+// difficultyAtSkill), which PaddleAI.setProfile plays to.
+
+import { AI_DIFFICULTY } from './PaddleAI.mjs';
+
+// Difficulty id for the adaptive AI, next to the AI_DIFFICULTY ids
+export const ADAPTIVE_DIFFICULTY = 'adaptive';
+
+// Where a player without a stored skill starts: the medium level
+export const DEFAULT_SKILL = 1 / 3;
+
+// The levels skill runs through, weakest first, evenly spaced
+const LADDER = ['easy', 'medium', 'hard', 'expert'];
+
+// Profile fields blended between neighbouring levels
+const BLENDED = ['reactionMs', 'maxSpeed', 'acceleration', 'predictionError', 'mistakeRate', 'aim'];
+
+// Most the skill moves after one point
+const MAX_STEP = 0.05;
+
+// How quickly the running averages follow new balls, rallies and skills
+const MISS_RATE_WEIGHT = 0.15;
+const RALLY_WEIGHT = 0.25;
+const SETTLE_WEIGHT = 0.1;
+
+// A lead this big (points) pushes the skill as hard as it goes
+const FULL_LEAD = 3;
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// Where an AI_DIFFICULTY level sits on the skill scale
+export function levelSkill(id) {
+    return LADDER.indexOf(id) / (LADDER.length - 1);
+}
+
+// The AI_DIFFICULTY-style profile at skill (0..1), blended between the two
+// nearest levels; the nearer one decides the mode
+export function difficultyAtSkill(skill) {
+    const position = clamp(skill, 0, 1) * (LADDER.length - 1);
+    const lower = AI_DIFFICULTY[LADDER[Math.floor(position)]];
+    const upper = AI_DIFFICULTY[LADDER[Math.ceil(position)]];
+    const mix = position - Math.floor(position);
+
+    const profile = {
+        id: ADAPTIVE_DIFFICULTY,
+        label: 'ADAPTIVE',
+        mode: AI_DIFFICULTY[LADDER[Math.round(position)]].mode
+    };
+    for (const field of BLENDED) {
+        profile[field] = lower[field] + (upper[field] - lower[field]) * mix;
+    }
+    return profile;
+}
+
+export class AdaptiveDifficulty {
+    // skill: where to start, e.g. the settledSkill of an earlier session
+    constructor({ skill = DEFAULT_SKILL } = {}) {
+        const start = Number.isFinite(skill) ? clamp(skill, 0, 1) : DEFAULT_SKILL;
+        this.skill = start;
+        this.settledSkill = start;  // Running average of skill, kept between sessions
+        this.reset();
+    }
+
+    // A new match: the skill carries over, the measurements don't
+    reset() {
+        this.differential = 0;  // Player's points minus the AI's
+        this.rallyLength = 4;   // Paddle hits per rally, running average
+        this.missRate = this.closeMissRate;
+        this.profile = difficultyAtSkill(this.skill);
+    }
+
+    // The player's miss rate in a close match: each side loses half the
+    // points, and faces about half of the balls of a rally. Missing more
+    // than every other ball is never close, however short the rallies get.
+    get closeMissRate() {
+        return Math.min(1 / (this.rallyLength + 1), 0.5);
+    }
+
+    // The player sent a ball back
+    recordReturn() {
+        this.missRate += (0 - this.missRate) * MISS_RATE_WEIGHT;
+    }
+
+    // A point was scored: playerScored, rallyHits paddle hits (both sides)
+    // in the rally, score { player, ai } after it. Moves the skill toward a
+    // close match and returns the new profile.
+    recordPoint(playerScored, rallyHits, score) {
+        if (!playerScored) {
+            this.missRate += (1 - this.missRate) * MISS_RATE_WEIGHT;
+        }
+        this.rallyLength += (rallyHits - this.rallyLength) * RALLY_WEIGHT;
+        this.differential = score.player - score.ai;
+
+        // Both push up when the player is doing better than a close match
+        const lead = clamp(this.differential / FULL_LEAD, -1, 1);
+        const closeMissRate = this.closeMissRate;
+        const misses = clamp((closeMissRate - this.missRate) / closeMissRate, -1, 1);
+        this.skill = clamp(this.skill + MAX_STEP * (0.6 * lead + 0.4 * misses), 0, 1);
+
+        this.settledSkill += (this.skill - this.settledSkill) * SETTLE_WEIGHT;
+        this.profile = difficultyAtSkill(this.skill);
+        return this.profile;
+    }
+}
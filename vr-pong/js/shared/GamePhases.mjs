@@ -0,0 +1,112 @@
+// Where a game is, from the start screen to the result. Game moves between
+// phases with transition(); UI and audio hook into the changes with onEnter()
+// and onExit() rather than checking flags.
+export const PHASE = {
+    MENU: 'menu',                   // Start button or game menu, no game
+    ATTRACT: 'attract',             // Demo game between two AIs on an idle start screen
+    LOBBY: 'lobby',                 // Seated in a multiplayer room, not playing
+    COUNTDOWN: 'countdown',         // Game about to start
+    SERVING: 'serving',             // Ball at the center, about to be served
+    RALLY: 'rally',                 // Ball in play
+    POINT_SCORED: 'pointScored',    // Short break after a point
+    PAUSED: 'paused',               // Frozen; resume() goes back to where it was
+    GAME_OVER: 'gameOver'           // Result shown, waiting for a rematch or to leave
+};
+
+// Phases of a game in progress
+const PLAYING = new Set([
+    PHASE.COUNTDOWN,
+    PHASE.SERVING,
+    PHASE.RALLY,
+    PHASE.POINT_SCORED,
+    PHASE.PAUSED
+]);
+
+export class GamePhases {
+    constructor(phase = PHASE.MENU) {
+        this.phase = phase;
+        this.timeInPhase = 0;   // ms spent in the current phase (see update)
+        this.pausedFrom = null; // { phase, timeInPhase } to go back to on resume
+        this.listeners = { enter: new Map(), exit: new Map() };
+    }
+
+    // listener(context) runs on every entry to phase. context holds from,
+    // to and whatever data was passed to transition(); resumed is true when
+    // coming back from a pause. Returns a function that unsubscribes.
+    onEnter(phase, listener) {
+        return this.subscribe('enter', phase, listener);
+    }
+
+    // Same as onEnter(), when leaving phase
+    onExit(phase, listener) {
+        return this.subscribe('exit', phase, listener);
+    }
+
+    subscribe(event, phase, listener) {
+        const listeners = this.listeners[event];
+        if (!listeners.has(phase)) {
+            listeners.set(phase, new Set());
+        }
+        listeners.get(phase).add(listener);
+        return () => listeners.get(phase).delete(listener);
+    }
+
+    is(...phases) {
+        return phases.includes(this.phase);
+    }
+
+    isPlaying() {
+        return PLAYING.has(this.phase);
+    }
+
+    // Returns false when already in phase
+    transition(phase, data = {}) {
+        if (phase === this.phase) return false;
+
+        if (phase === PHASE.PAUSED) {
+            this.pausedFrom = { phase: this.phase, timeInPhase: this.timeInPhase };
+        } else {
+            this.pausedFrom = null;
+        }
+        this.change(phase, 0, data);
+        return true;
+    }
+
+    // Freeze a game in progress
+    pause() {
+        if (!this.isPlaying() || this.phase === PHASE.PAUSED) return false;
+        return this.transition(PHASE.PAUSED);
+    }
+
+    // Back to the phase the game was paused in, time in it included
+    resume() {
+        if (this.phase !== PHASE.PAUSED) return false;
+        const { phase, timeInPhase } = this.pausedFrom;
+        this.pausedFrom = null;
+        this.change(phase, timeInPhase, { resumed: true });
+        return true;
+    }
+
+    // Time passes in every phase but PAUSED
+    update(deltaMs) {
+        if (this.phase !== PHASE.PAUSED) {
+            this.timeInPhase += deltaMs;
+        }
+    }
+
+    change(phase, timeInPhase, data) {
+        const context = { ...data, from: this.phase, to: phase };
+        this.emit('exit', this.phase, context);
+        this.phase = phase;
+        this.timeInPhase = timeInPhase;
+        this.emit('enter', phase, context);
+    }
+
+    emit(event, phase, context) {
+        const listeners = this.listeners[event].get(phase);
+        if (!listeners) return;
+        for (const listener of [...listeners]) {
+            listener(context);
+        }
+    }
+}
@@ -0,0 +1,70 @@
+// When a game is over, shared by the browser (single player) and the server,
+// which decides multiplayer games. A game can be played to points (first to
+// pointsToWin, winning by at least winBy), against the clock (timeLimitMs,
+// leader at the buzzer wins, a tie goes to sudden-death overtime), or both,
+// whichever comes first. A null pointsToWin or timeLimitMs switches that
+// condition off.
+
+export const RULE_PRESETS = {
+    standard: { label: 'FIRST TO 11 OR 2 MIN', pointsToWin: 11, winBy: 2, timeLimitMs: 120000 },
+    points: { label: 'FIRST TO 11', pointsToWin: 11, winBy: 2, timeLimitMs: null },
+    short: { label: 'FIRST TO 5', pointsToWin: 5, winBy: 2, timeLimitMs: null },
+    timed: { label: '2 MINUTES', pointsToWin: null, winBy: 2, timeLimitMs: 120000 }
+};
+
+export const DEFAULT_RULES = 'standard';
+
+// Timing around the serve, kept the same on both ends so the clients'
+// countdown and point breaks line up with the server's serves
+export const COUNTDOWN_MS = 3000;   // Before the first serve of a game
+export const SERVE_DELAY_MS = 1000; // After a point, before the next serve
+
+// Why a game ended, as returned by evaluateMatch()
+export const END_REASON = {
+    POINTS: 'points',
+    TIME: 'time',
+    SUDDEN_DEATH: 'suddenDeath'
+};
+
+// The preset with its id; unknown ids get the default rules
+export function getRules(id) {
+    const ruleId = Object.prototype.hasOwnProperty.call(RULE_PRESETS, id) ? id : DEFAULT_RULES;
+    return { id: ruleId, ...RULE_PRESETS[ruleId] };
+}
+
+// Decide the game from the score and the time played. overtime is true once
+// the clock ran out on a tie; callers keep it from the previous result.
+// Returns { winner: 'host' | 'guest' | null, reason, overtime }.
+export function evaluateMatch(rules, hostScore, guestScore, { elapsedMs = 0, overtime = false } = {}) {
+    const lead = hostScore - guestScore;
+    const leader = lead > 0 ? 'host' : lead < 0 ? 'guest' : null;
+
+    if (rules.pointsToWin !== null
+        && Math.max(hostScore, guestScore) >= rules.pointsToWin
+        && Math.abs(lead) >= rules.winBy) {
+        return { winner: leader, reason: END_REASON.POINTS, overtime };
+    }
+
+    if (rules.timeLimitMs !== null && elapsedMs >= rules.timeLimitMs) {
+        if (leader) {
+            return { winner: leader, reason: overtime ? END_REASON.SUDDEN_DEATH : END_REASON.TIME, overtime };
+        }
+        // Tied at the buzzer: the next point wins
+        return { winner: null, reason: null, overtime: true };
+    }
+
+    return { winner: null, reason: null, overtime };
+}
+
+// How close a game is to its end, 0 to 1: the leader's share of the points
+// to win or the share of the time limit played, whichever is further on
+export function matchProgress(rules, hostScore, guestScore, elapsedMs = 0) {
+    let progress = 0;
+    if (rules.pointsToWin !== null) {
+        progress = Math.max(hostScore, guestScore) / rules.pointsToWin;
+    }
+    if (rules.timeLimitMs !== null) {
+        progress = Math.max(progress, elapsedMs / rules.timeLimitMs);
+    }
+    return Math.min(progress, 1);
+}
@@ -0,0 +1,86 @@
+// The single player campaign: a ladder of named AI opponents, each with its
+// own play style, made from PaddleAI profile data. Beating an opponent
+// unlocks the next one up.
+
+import { AI_DIFFICULTY } from './PaddleAI.mjs';
+import { difficultyAtSkill, levelSkill } from './AdaptiveDifficulty.mjs';
+
+// Weakest first. Each plays an AI_DIFFICULTY level with tweaks for its
+// style. lateSurge { from, skill } raises an opponent along the adaptive
+// skill scale (see difficultyAtSkill) once the match is from (0..1) of the
+// way to its end, reaching skill at the end.
+export const OPPONENTS = [
+    {
+        id: 'glitch',
+        name: 'GLITCH',
+        style: 'ERRATIC',
+        // Quick on its feet but misreads the ball, wildly at times
+        difficulty: 'medium',
+        tweaks: { maxSpeed: 2.8, acceleration: 90, predictionError: 0.12, mistakeRate: 0.1, aim: 0 }
+    },
+    {
+        id: 'wall',
+        name: 'THE WALL',
+        style: 'DEFENSIVE',
+        // Gets to nearly everything and plays it straight back
+        difficulty: 'medium',
+        tweaks: { maxSpeed: 2.0, predictionError: 0.04, mistakeRate: 0.05, aim: 0 }
+    },
+    {
+        id: 'closer',
+        name: 'THE CLOSER',
+        style: 'LATE SURGE',
+        // Medium for the first part of the match, expert by the end of it
+        difficulty: 'medium',
+        tweaks: {},
+        lateSurge: { from: 0.4, skill: 1 }
+    },
+    {
+        id: 'viper',
+        name: 'VIPER',
+        style: 'ANGLE HUNTER',
+        // Goes for the corners off the edge of its paddle, pushing its luck
+        difficulty: 'hard',
+        tweaks: { aim: 0.9, predictionError: 0.04 }
+    },
+    {
+        id: 'master',
+        name: 'PONG MASTER',
+        style: 'CHAMPION',
+        difficulty: 'expert',
+        tweaks: {}
+    }
+];
+
+// The opponent with this id, or null
+export function getOpponent(id) {
+    return OPPONENTS.find((opponent) => opponent.id === id) || null;
+}
+
+// The one after it on the ladder, or null at the top
+export function nextOpponent(id) {
+    const index = OPPONENTS.findIndex((opponent) => opponent.id === id);
+    return index === -1 ? null : OPPONENTS[index + 1] || null;
+}
+
+// The first opponent is open from the start, every other one once the
+// opponent below it is in beaten (a list of ids)
+export function isUnlocked(id, beaten) {
+    const index = OPPONENTS.findIndex((opponent) => opponent.id === id);
+    if (index === -1) return false;
+    return index === 0 || beaten.includes(OPPONENTS[index - 1].id);
+}
+
+// The profile (as AI_DIFFICULTY) the opponent plays to with the match
+// progress (0..1, see matchProgress) of the way to its end
+export function opponentProfile(opponent, progress = 0) {
+    const { lateSurge } = opponent;
+    let profile = { ...AI_DIFFICULTY[opponent.difficulty], ...opponent.tweaks };
+
+    if (lateSurge && progress > lateSurge.from) {
+        const start = levelSkill(opponent.difficulty);
+        const surge = Math.min(1, (progress - lateSurge.from) / (1 - lateSurge.from));
+        profile = difficultyAtSkill(start + (lateSurge.skill - start) * surge);
+    }
+    return { ...profile, id: opponent.id, label: opponent.name };
+}
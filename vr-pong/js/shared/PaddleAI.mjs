@@ -0,0 +1,176 @@
+// The computer player: moves a paddle after the ball. Works on plain
+// {x, y, z} positions like PongPhysics, so the same opponent plays in the
+// browser (Paddle.updateAI) and in headless simulations.
+
+import { BALL, PADDLE, TABLE, predictCrossing } from './PongPhysics.mjs';
+
+// How the AI reads the ball
+export const AI_MODE = {
+    CHASE: 'chase',     // Follows the ball sideways as it comes
+    PREDICT: 'predict'  // Works out where the ball will reach it, walls included
+};
+
+// How good the AI is, as data (see docs/AI_PADDLE_MOVEMENT.md):
+// mode            an AI_MODE
+// reactionMs      it sees the ball as it was this long ago
+// maxSpeed        top paddle speed (m/s)
+// acceleration    how it eases in near the target: its speed there is
+//                 acceleration * (distance to the target) squared, up to
+//                 maxSpeed
+// predictionError how far off (m, either way) it aims, rolled for every
+//                 ball coming its way; a prediction is off by this much
+//                 more for every wall bounce it has to foresee
+// mistakeRate     chance per incoming ball of misjudging it completely
+// aim             predicting AIs angle their returns away from the other
+//                 player by hitting off centre: the most they use, as a
+//                 fraction of the paddle's half width (0 hits dead centre)
+export const AI_DIFFICULTY = {
+    easy: { label: 'EASY', mode: AI_MODE.CHASE, reactionMs: 250, maxSpeed: 1.35, acceleration: 36, predictionError: 0.12, mistakeRate: 0.15, aim: 0 },
+    medium: { label: 'MEDIUM', mode: AI_MODE.PREDICT, reactionMs: 150, maxSpeed: 2.25, acceleration: 60, predictionError: 0.07, mistakeRate: 0.07, aim: 0.3 },
+    hard: { label: 'HARD', mode: AI_MODE.PREDICT, reactionMs: 80, maxSpeed: 3.15, acceleration: 84, predictionError: 0.035, mistakeRate: 0.03, aim: 0.6 },
+    expert: { label: 'EXPERT', mode: AI_MODE.PREDICT, reactionMs: 40, maxSpeed: 4.05, acceleration: 108, predictionError: 0.015, mistakeRate: 0.01, aim: 0.8 }
+};
+
+export const DEFAULT_DIFFICULTY = 'medium';
+
+// A misjudged ball is aimed this far off, past the paddle's reach
+const MISTAKE_OFFSET = PADDLE.width / 2 + PADDLE.hitBuffer + BALL.radius + 0.05;
+
+// The ball's center touches the paddle this far in front of it
+const CONTACT_DISTANCE = PADDLE.depth / 2 + PADDLE.hitBuffer + BALL.radius;
+
+// Steepest return the paddle gives, at its very edge (as in
+// calculateReflectionAngle)
+const MAX_RETURN_ANGLE = Math.PI / 3;
+
+// The profile with its id; unknown ids get the default difficulty
+export function getDifficulty(id) {
+    const difficultyId = Object.prototype.hasOwnProperty.call(AI_DIFFICULTY, id) ? id : DEFAULT_DIFFICULTY;
+    return { id: difficultyId, ...AI_DIFFICULTY[difficultyId] };
+}
+
+export class PaddleAI {
+    // mode: an AI_MODE to play in instead of the difficulty's own
+    constructor({ difficulty = DEFAULT_DIFFICULTY, mode = null, random = Math.random } = {}) {
+        this.random = random;
+        this.modeOverride = mode;
+        this.setDifficulty(difficulty);
+    }
+
+    // Play at an AI_DIFFICULTY level from now on (starts afresh)
+    setDifficulty(id) {
+        this.setProfile(getDifficulty(id));
+        this.reset();
+    }
+
+    // Play to a profile shaped like an AI_DIFFICULTY level (e.g. from
+    // difficultyAtSkill) from the next ball on, mid-game
+    setProfile(profile) {
+        this.difficulty = profile;
+        this.mode = this.modeOverride || profile.mode;
+        this.maxSpeed = profile.maxSpeed;
+        this.acceleration = profile.acceleration;
+    }
+
+    reset() {
+        this.time = 0;          // ms played
+        this.seen = [];         // Recent ball samples, { at, x, z, vx, vz }, oldest first
+        this.incoming = false;  // Last seen ball was heading for this paddle
+        this.error = 0;         // Misjudgement of the incoming ball, -1..1 of predictionError
+        this.misjudged = false; // The incoming ball is a mistake
+        this.aimSide = 1;       // Where aimed returns go without an opponent to avoid
+    }
+
+    // Move paddle (its position) after ball (its state: position and
+    // velocity) for dt seconds. opponent is the other paddle's position,
+    // which aimed returns keep away from; maxSpeed (m/s) defaults to the
+    // AI's own.
+    update(paddle, ball, dt, { opponent = null, maxSpeed = this.maxSpeed } = {}) {
+        this.time += dt * 1000;
+        this.seen.push({
+            at: this.time,
+            x: ball.position.x,
+            z: ball.position.z,
+            vx: ball.velocity.x,
+            vz: ball.velocity.z
+        });
+
+        // React to the ball as it was reactionMs ago
+        while (this.seen.length > 1 && this.time - this.seen[1].at >= this.difficulty.reactionMs) {
+            this.seen.shift();
+        }
+        const seen = this.seen[0];
+
+        // A new ball on its way: how well is this one judged?
+        const incoming = (paddle.z - seen.z) * seen.vz > 0;
+        if (incoming && !this.incoming) {
+            this.judgeIncoming();
+        }
+        this.incoming = incoming;
+
+        let ballX = seen.x;
+        let errorScale = 1;
+        if (this.mode === AI_MODE.PREDICT) {
+            const crossing = incoming ? this.predict(paddle, seen) : null;
+            if (!crossing) {
+                // Nothing coming: wait in the middle
+                this.move(paddle, 0, dt, maxSpeed);
+                return;
+            }
+            ballX = crossing.x;
+            errorScale += crossing.bounces;
+        }
+
+        let targetX = ballX + this.error * this.difficulty.predictionError * errorScale;
+        if (this.misjudged) {
+            // Off toward the middle: near a wall the paddle would still
+            // be in the way
+            targetX = ballX < 0 ? ballX + MISTAKE_OFFSET : ballX - MISTAKE_OFFSET;
+        } else if (this.mode === AI_MODE.PREDICT) {
+            targetX -= this.aimOffset(paddle, ballX, opponent);
+        }
+        this.move(paddle, targetX, dt, maxSpeed);
+    }
+
+    // Where the seen ball will reach the paddle: { x, time, bounces }
+    predict(paddle, seen) {
+        const contactZ = seen.vz > 0 ? paddle.z - CONTACT_DISTANCE : paddle.z + CONTACT_DISTANCE;
+        return predictCrossing(seen, { x: seen.vx, y: 0, z: seen.vz }, contactZ);
+    }
+
+    // How far off centre to take a ball reaching the paddle at ballX. The
+    // paddle returns balls at an angle that grows with the distance of the
+    // hit from its centre (see calculateReflectionAngle), so work back from
+    // the angle that sends the ball to the corner away from opponent
+    // (a random one without).
+    aimOffset(paddle, ballX, opponent) {
+        const { aim } = this.difficulty;
+        if (aim === 0) return 0;
+
+        const side = opponent ? (opponent.x > 0 ? -1 : 1) : this.aimSide;
+        const across = TABLE.halfWidth * side - ballX;
+        const length = 2 * Math.abs(TABLE.centerZ - paddle.z); // To the other paddle
+        const angle = Math.atan2(across, length);
+        const offset = Math.max(-aim, Math.min(aim, angle / MAX_RETURN_ANGLE));
+        return offset * PADDLE.width / 2;
+    }
+
+    move(paddle, targetX, dt, maxSpeed) {
+        const diff = targetX - paddle.x;
+        const direction = Math.sign(diff);
+        const distance = Math.abs(diff);
+        const speed = Math.min(distance * distance * this.acceleration, maxSpeed);
+
+        // Move towards the target, without overshooting it on a long step
+        if (distance > 0.001) {
+            const movement = direction * Math.min(speed * dt, distance);
+            paddle.x = Math.max(-PADDLE.maxX, Math.min(PADDLE.maxX, paddle.x + movement));
+        }
+    }
+
+    judgeIncoming() {
+        this.error = this.random() * 2 - 1;
+        this.misjudged = this.random() < this.difficulty.mistakeRate;
+        this.aimSide = this.random() < 0.5 ? -1 : 1;
+    }
+}
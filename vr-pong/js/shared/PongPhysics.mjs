@@ -0,0 +1,367 @@
+// Ball and paddle rules shared by the browser (Ball.js) and the server's
+// authoritative room simulation. Everything here works on plain {x, y, z}
+// objects, so THREE.Vector3 instances can be passed straight in and are
+// updated in place.
+//
+// Time: the ball moves in fixed steps of TICK_SECONDS on both ends, whatever
+// the display's refresh rate, and speeds are in metres per second.
+//
+// World frame: the host's paddle sits at the near end of the table (z = -0.1)
+// and the guest's at the far end (z = -1.9). Guests render the table rotated
+// 180 degrees, see flipTableSide().
+
+export const TICK_RATE = 60;   // Physics steps per second
+export const TICK_SECONDS = 1 / TICK_RATE;
+
+export const TABLE = {
+    halfWidth: 0.7,     // Side walls the ball bounces off
+    nearEnd: 0,         // Ball past this z is a point for the far side
+    farEnd: -2.0,       // Ball past this z is a point for the near side
+    centerZ: -1.0,
+    ballHeight: 0.9
+};
+
+export const BALL = {
+    radius: 0.02,
+    initialSpeed: 0.9,  // m/s
+    speedIncrease: 1.1,
+    maxSpeed: 3.0       // m/s
+};
+
+export const PADDLE = {
+    width: 0.3,
+    height: 0.2,
+    depth: 0.02,
+    nearZ: -0.1,
+    farZ: -1.9,
+    maxX: 0.6,
+    hitBuffer: 0.03     // Reach beyond the paddle's edges that still counts as a hit
+};
+
+// Results returned by stepBall()
+export const STEP = {
+    NEAR_HIT: 'nearHit',    // Ball bounced off the near paddle
+    FAR_HIT: 'farHit',      // Ball bounced off the far paddle
+    NEAR_MISS: 'nearMiss',  // Ball got past the near paddle (far side scores)
+    FAR_MISS: 'farMiss'     // Ball got past the far paddle (near side scores)
+};
+
+// Walls and paddles hit within one step, at most (see stepBall)
+const MAX_CONTACTS_PER_STEP = 4;
+
+function setVector(target, x, y, z) {
+    target.x = x;
+    target.y = y;
+    target.z = z;
+}
+
+function vectorLength(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+function scaleToLength(v, length) {
+    const current = vectorLength(v);
+    if (current === 0) return v;
+    v.x = v.x / current * length;
+    v.y = v.y / current * length;
+    v.z = v.z / current * length;
+    return v;
+}
+
+export function createBallState() {
+    return {
+        position: { x: 0, y: TABLE.ballHeight, z: TABLE.centerZ },
+        velocity: { x: 0, y: 0, z: 0 },
+        hits: 0,
+        // Paddle hit of the last step: { time, point, normal }; see stepBall()
+        contact: null
+    };
+}
+
+export function resetBall(ball) {
+    setVector(ball.position, 0, TABLE.ballHeight, TABLE.centerZ);
+    setVector(ball.velocity, 0, 0, 0);
+    ball.hits = 0;
+}
+
+export function serveBall(ball, random = Math.random) {
+    // Random initial direction between -45 and 45 degrees
+    const angle = (random() * Math.PI / 2) - Math.PI / 4;
+    // Randomly choose a direction (toward the near or the far paddle)
+    const direction = random() > 0.5 ? 1 : -1;
+    setVector(
+        ball.velocity,
+        Math.sin(angle) * BALL.initialSpeed,
+        0,
+        Math.cos(angle) * BALL.initialSpeed * direction
+    );
+    return { angle, direction };
+}
+
+export function increaseSpeed(ball) {
+    if (vectorLength(ball.velocity) < BALL.maxSpeed) {
+        ball.velocity.x *= BALL.speedIncrease;
+        ball.velocity.y *= BALL.speedIncrease;
+        ball.velocity.z *= BALL.speedIncrease;
+        if (vectorLength(ball.velocity) > BALL.maxSpeed) {
+            scaleToLength(ball.velocity, BALL.maxSpeed);
+        }
+    }
+}
+
+export function calculateReflectionAngle(ball, hitPosition, paddlePosition, random = Math.random) {
+    const speed = vectorLength(ball.velocity);
+
+    if (!paddlePosition || typeof paddlePosition.x === 'undefined') {
+        // Fall back to sending the ball back the way it came
+        return scaleToLength({
+            x: ball.velocity.x * -0.2,
+            y: 0,
+            z: ball.velocity.z * -1
+        }, speed);
+    }
+
+    // Normalize the hit offset from the paddle center to -1..1
+    const hitOffset = hitPosition.x - paddlePosition.x;
+    const normalizedOffset = Math.max(Math.min(hitOffset / (PADDLE.width / 2), 1), -1);
+
+    // Reflect up to 60 degrees (PI/3) from center
+    const angle = normalizedOffset * (Math.PI / 3);
+
+    // Near paddle sends the ball away (-z), far paddle sends it back (+z)
+    const zDirection = paddlePosition.z > TABLE.centerZ ? -1 : 1;
+
+    return {
+        // Small random factor to avoid predictable patterns
+        x: Math.sin(angle) * speed + (random() - 0.5) * 0.6,
+        y: 0,
+        z: Math.cos(angle) * speed * zDirection
+    };
+}
+
+// Where a ball moving from start by motion (one step's travel) first touches
+// a paddle, or null if it doesn't. The ball is a sphere, so the paddle box is
+// grown by its radius (plus hitBuffer) and the ball's center traced through
+// it as a ray (slab method); the grown box keeps square corners, a hair more
+// forgiving than rounded ones. Returns { t, center, point, normal }: t is the
+// fraction of motion travelled at impact, center the ball's center then,
+// point the spot on the paddle it strikes and normal the face it hit. A ball
+// that starts the step overlapping the paddle hits it at t = 0.
+export function sweepBallPaddle(start, motion, paddlePosition, paddleSize = PADDLE) {
+    const reach = PADDLE.hitBuffer + BALL.radius;
+    const halfSize = {
+        x: paddleSize.width / 2 + reach,
+        y: paddleSize.height / 2 + reach,
+        z: paddleSize.depth / 2 + reach
+    };
+
+    let tEnter = 0;
+    let tExit = 1;
+    const normal = { x: 0, y: 0, z: 0 };
+    let normalAxis = null;
+
+    for (const axis of ['x', 'y', 'z']) {
+        const min = paddlePosition[axis] - halfSize[axis];
+        const max = paddlePosition[axis] + halfSize[axis];
+        const origin = start[axis];
+        const travel = motion[axis];
+
+        if (travel === 0) {
+            // Parallel to this slab: inside it all step or never
+            if (origin < min || origin > max) return null;
+            continue;
+        }
+
+        let tNear = (min - origin) / travel;
+        let tFar = (max - origin) / travel;
+        let side = -1; // Entering through the min face
+        if (tNear > tFar) {
+            [tNear, tFar] = [tFar, tNear];
+            side = 1;
+        }
+        if (tNear > tEnter) {
+            tEnter = tNear;
+            normalAxis = axis;
+            normal.x = normal.y = normal.z = 0;
+            normal[axis] = side;
+        }
+        tExit = Math.min(tExit, tFar);
+        if (tEnter > tExit) return null;
+    }
+
+    // Already overlapping: a hit only if the ball hasn't got past the
+    // paddle's middle, and then it is pushed back the way it came
+    if (normalAxis === null) {
+        if ((start.z - paddlePosition.z) * motion.z > 0) return null;
+        normal.z = motion.z > 0 ? -1 : 1;
+    }
+
+    const center = {
+        x: start.x + motion.x * tEnter,
+        y: start.y + motion.y * tEnter,
+        z: start.z + motion.z * tEnter
+    };
+    // The point of the paddle nearest the ball: its surface, or an edge
+    const point = {};
+    for (const axis of ['x', 'y', 'z']) {
+        const half = halfSize[axis] - reach;
+        point[axis] = Math.min(Math.max(center[axis], paddlePosition[axis] - half), paddlePosition[axis] + half);
+    }
+    return { t: tEnter, center, point, normal };
+}
+
+// Send the ball back off a paddle it just touched (ball.position is its
+// center at the moment of impact). Returns 'edge' or 'center'.
+export function bounceOffPaddle(ball, paddlePosition, paddleSize = PADDLE, random = Math.random) {
+    // Edge hits (outer 55% of the half width) deflect more steeply
+    const relativeX = ball.position.x - paddlePosition.x;
+    const edgeZone = paddleSize.width * 0.45;
+    const edgeOverlap = Math.abs(relativeX) - edgeZone;
+
+    if (edgeOverlap > 0 && edgeOverlap < 0.05) {
+        const normalizedHitPoint = relativeX / (paddleSize.width * 0.5);
+        const clampedHitPoint = Math.min(Math.max(normalizedHitPoint, -0.9), 0.9); // Prevent extreme angles
+        const deflectionAngle = clampedHitPoint * (Math.PI / 3);
+
+        // Keep most of the speed but add a strong sideways component
+        const speed = vectorLength(ball.velocity) * 0.9;
+        const zDirection = ball.velocity.z > 0 ? -1 : 1;
+
+        ball.velocity.x = Math.sin(deflectionAngle) * speed;
+        ball.velocity.z = Math.cos(deflectionAngle) * speed * zDirection;
+        return 'edge';
+    }
+
+    const reflection = calculateReflectionAngle(ball, ball.position, paddlePosition, random);
+    setVector(ball.velocity, reflection.x, reflection.y, reflection.z);
+    return 'center';
+}
+
+// Where a ball at position moving at velocity crosses the plane z, bouncing
+// off the side walls on the way as stepBall does: { x, time, bounces }, time
+// in seconds. null if the ball is not heading for that plane.
+export function predictCrossing(position, velocity, z) {
+    const time = (z - position.z) / velocity.z;
+    if (!Number.isFinite(time) || time < 0) return null;
+
+    // Mirror the table at every wall and the path becomes a straight line;
+    // fold the end of it back onto the real table
+    const width = 2 * TABLE.halfWidth;
+    const travelled = position.x + TABLE.halfWidth + velocity.x * time;
+    const bounces = Math.floor(travelled / width);
+    let x = travelled - bounces * width;
+    if (Math.abs(bounces) % 2 === 1) {
+        x = width - x;
+    }
+    return { x: x - TABLE.halfWidth, time, bounces: Math.abs(bounces) };
+}
+
+export function checkOutOfBounds(position) {
+    if (position.z > TABLE.nearEnd) {
+        return STEP.NEAR_MISS;
+    } else if (position.z < TABLE.farEnd) {
+        return STEP.FAR_MISS;
+    }
+    return null;
+}
+
+// Fraction of motion until the ball reaches a side wall, or Infinity
+function sweepBallWalls(start, motion) {
+    if (motion.x === 0) return Infinity;
+    const wall = motion.x > 0 ? TABLE.halfWidth : -TABLE.halfWidth;
+    return Math.max(0, (wall - start.x) / motion.x);
+}
+
+// Advances the ball one step of dt seconds and resolves walls, paddles and
+// scoring. Paddle arguments are positions; either may be null to skip that
+// paddle. Callers step with TICK_SECONDS so every client agrees.
+//
+// The ball's path through the step is swept against the walls and the
+// paddle it is heading for, so no hit is missed however fast it goes: the
+// ball moves to the first contact, bounces, and carries on for the rest of
+// the step. A paddle hit is recorded in ball.contact as { time, point,
+// normal }, time being seconds into the step; null when there was none.
+export function stepBall(ball, nearPaddle, farPaddle, dt = TICK_SECONDS, random = Math.random) {
+    const { position, velocity } = ball;
+    let remaining = dt;
+    let result = null;
+    ball.contact = null;
+
+    for (let i = 0; i < MAX_CONTACTS_PER_STEP && remaining > 0; i++) {
+        const motion = {
+            x: velocity.x * remaining,
+            y: velocity.y * remaining,
+            z: velocity.z * remaining
+        };
+
+        // Only the paddle the ball is heading for can be hit
+        const towardNear = velocity.z > 0;
+        const paddle = towardNear ? nearPaddle : farPaddle;
+        const paddleHit = paddle && velocity.z !== 0 ? sweepBallPaddle(position, motion, paddle) : null;
+        const wallT = sweepBallWalls(position, motion);
+
+        if (paddleHit && paddleHit.t <= wallT) {
+            setVector(position, paddleHit.center.x, paddleHit.center.y, paddleHit.center.z);
+            remaining -= remaining * paddleHit.t;
+            bounceOffPaddle(ball, paddle, PADDLE, random);
+            ball.hits++;
+            if (ball.hits % 2 === 0) {
+                increaseSpeed(ball);
+            }
+            ball.contact = { time: dt - remaining, point: paddleHit.point, normal: paddleHit.normal };
+            result = towardNear ? STEP.NEAR_HIT : STEP.FAR_HIT;
+        } else if (wallT <= 1) {
+            position.x = Math.sign(motion.x) * TABLE.halfWidth;
+            position.y += motion.y * wallT;
+            position.z += motion.z * wallT;
+            remaining -= remaining * wallT;
+            velocity.x *= -1;
+        } else {
+            position.x += motion.x;
+            position.y += motion.y;
+            position.z += motion.z;
+            remaining = 0;
+        }
+    }
+
+    if (result) return result;
+
+    const miss = checkOutOfBounds(position);
+    if (miss) {
+        resetBall(ball);
+        return miss;
+    }
+
+    return null;
+}
+
+// Rotates a world position 180 degrees around the table center. Guests see
+// themselves at the near end, so their local positions are the host-frame
+// positions flipped; the rotation is its own inverse.
+export function flipTableSide(position) {
+    return {
+        x: -position.x,
+        y: position.y,
+        z: 2 * TABLE.centerZ - position.z
+    };
+}
+
+// Same rotation for directions such as velocities (no translation)
+export function flipTableDirection(direction) {
+    return {
+        x: -direction.x,
+        y: direction.y,
+        z: -direction.z
+    };
+}
+
+// Same rotation for orientations given as {x, y, z, w} quaternions
+// (half a turn about the y axis, applied on the left)
+export function flipTableRotation(quaternion) {
+    return {
+        x: quaternion.z,
+        y: quaternion.w,
+        z: -quaternion.x,
+        w: -quaternion.y
+    };
+}
@@ -0,0 +1,197 @@
+// One game of pong without any rendering: the ball, both paddles, serves,
+// points and the end of the game. The server runs one per room
+// (server/RoomSimulation.js) and the browser one for single player games;
+// tests drive it straight from Node. Nothing here looks at a clock, so the
+// same random function and the same paddle moves always play out the same.
+//
+// Sides are named as in MatchRules: the host's paddle is the near one and
+// the guest's the far one (the world frame, see PongPhysics).
+
+import {
+    PADDLE,
+    STEP,
+    TABLE,
+    TICK_SECONDS,
+    createBallState,
+    resetBall,
+    serveBall,
+    stepBall
+} from './PongPhysics.mjs';
+import { COUNTDOWN_MS, SERVE_DELAY_MS, evaluateMatch } from './MatchRules.mjs';
+
+// Events returned by PongSimulation.step(), in the order they happened
+export const SIM_EVENT = {
+    SERVE: 'serve',         // The ball was served
+    HIT: 'hit',             // { side, contact }: ball off side's paddle
+    POINT: 'point',         // { side, score, rallyHits }: side scored
+    OVERTIME: 'overtime',   // Tied when the clock ran out: next point wins
+    GAME_OVER: 'gameOver'   // { result } as returned by evaluateMatch()
+};
+
+export function createPaddleState(side) {
+    return { x: 0, y: TABLE.ballHeight, z: side === 'host' ? PADDLE.nearZ : PADDLE.farZ };
+}
+
+// Steps of 1000 / 60 ms don't add up exactly in floating point: snap a sum
+// that is a hair off a whole ms, so 180 steps make the 3 s countdown
+function addMs(time, ms) {
+    const sum = time + ms;
+    return Math.abs(sum - Math.round(sum)) < 1e-6 ? Math.round(sum) : sum;
+}
+
+// Small seedable random number generator (mulberry32), for games that have
+// to play out the same every time (tests, replays, AI tuning)
+export function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export class PongSimulation {
+    // rules as returned by getRules(). random is used for serves and
+    // bounces; countdownMs and serveDelayMs default to the shared timing.
+    constructor({
+        rules,
+        random = Math.random,
+        countdownMs = COUNTDOWN_MS,
+        serveDelayMs = SERVE_DELAY_MS
+    } = {}) {
+        this.random = random;
+        this.countdownLength = countdownMs;
+        this.serveDelay = serveDelayMs;
+        this.ball = createBallState();
+        this.paddles = {
+            host: createPaddleState('host'),
+            guest: createPaddleState('guest')
+        };
+        this.reset(rules);
+    }
+
+    // Ready for a new game: 0-0, ball in the center, countdown to the serve
+    reset(rules = this.rules) {
+        this.rules = rules;
+        this.score = { host: 0, guest: 0 };
+        this.elapsed = 0;           // Game time played (ms), from the first serve
+        this.overtime = false;      // Tied when the clock ran out
+        this.countdown = this.countdownLength; // ms until the first serve
+        this.started = false;       // First serve made
+        this.serveIn = null;        // ms until the next serve after a point
+        this.result = null;         // evaluateMatch() result once decided
+        this.stats = { rallies: 0, longestRally: 0 };
+        this.rallyHits = 0;         // Paddle hits in the rally being played
+        resetBall(this.ball);
+    }
+
+    get isOver() {
+        return this.result !== null;
+    }
+
+    // Move side's paddle; z is fixed by the side
+    setPaddle(side, x, y = this.paddles[side].y) {
+        const paddle = this.paddles[side];
+        paddle.x = Math.max(-PADDLE.maxX, Math.min(PADDLE.maxX, x));
+        paddle.y = y;
+    }
+
+    // Advance dt seconds (one TICK_SECONDS step on both ends). Returns the
+    // events of that step, usually none.
+    step(dt = TICK_SECONDS) {
+        const events = [];
+        if (this.isOver) return events;
+        const ms = dt * 1000;
+
+        // Nothing moves during the countdown and the clock waits for it
+        if (!this.started) {
+            this.countdown = Math.max(0, addMs(this.countdown, -ms));
+            if (this.countdown === 0) {
+                this.started = true;
+                this.serve(events);
+            }
+            return events;
+        }
+
+        // Points are checked as they are scored; the clock on the step it runs out
+        const { timeLimitMs } = this.rules;
+        const before = this.elapsed;
+        this.elapsed = addMs(this.elapsed, ms);
+        if (timeLimitMs !== null && before < timeLimitMs && this.elapsed >= timeLimitMs && this.checkResult(events)) {
+            return events;
+        }
+
+        // Ball waiting in the center after a point
+        if (this.serveIn !== null) {
+            this.serveIn = addMs(this.serveIn, -ms);
+            if (this.serveIn <= 0) {
+                this.serveIn = null;
+                this.serve(events);
+            }
+            return events;
+        }
+
+        const result = stepBall(this.ball, this.paddles.host, this.paddles.guest, dt, this.random);
+
+        if (result === STEP.NEAR_HIT || result === STEP.FAR_HIT) {
+            this.rallyHits++;
+            events.push({
+                type: SIM_EVENT.HIT,
+                side: result === STEP.NEAR_HIT ? 'host' : 'guest',
+                contact: this.ball.contact
+            });
+        } else if (result === STEP.NEAR_MISS || result === STEP.FAR_MISS) {
+            this.scorePoint(result === STEP.NEAR_MISS ? 'guest' : 'host', events);
+        }
+
+        return events;
+    }
+
+    serve(events) {
+        serveBall(this.ball, this.random);
+        events.push({ type: SIM_EVENT.SERVE });
+    }
+
+    // stepBall already put the ball back in the center
+    scorePoint(side, events) {
+        this.score[side]++;
+        this.stats.rallies++;
+        this.stats.longestRally = Math.max(this.stats.longestRally, this.rallyHits);
+        events.push({ type: SIM_EVENT.POINT, side, score: { ...this.score }, rallyHits: this.rallyHits });
+        this.rallyHits = 0;
+
+        if (!this.checkResult(events)) {
+            this.serveIn = this.serveDelay;
+        }
+    }
+
+    // Ask the rules whether the game is over. Returns true once it is.
+    checkResult(events) {
+        const result = evaluateMatch(this.rules, this.score.host, this.score.guest, {
+            elapsedMs: this.elapsed,
+            overtime: this.overtime
+        });
+
+        if (result.overtime && !this.overtime) {
+            this.overtime = true;
+            events.push({ type: SIM_EVENT.OVERTIME });
+        }
+        if (!result.winner) return false;
+
+        this.result = result;
+        resetBall(this.ball);
+        events.push({ type: SIM_EVENT.GAME_OVER, result });
+        return true;
+    }
+
+    // Game clock for clients joining mid-game
+    getClock() {
+        return {
+            elapsedMs: Math.round(this.elapsed),
+            overtime: this.overtime,
+            countdownMs: Math.max(0, Math.round(this.countdown))
+        };
+    }
+}
@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+
+const LINE_HEIGHT = 52;
+
+// Debug panel beside the timer for the adaptive AI: its skill, the profile
+// it plays to and what it is measuring (see AdaptiveDifficulty). Shown with
+// ?debug in the page address, or toggled with the ` key.
+export class DifficultyDebugOverlay {
+    constructor(scene) {
+        this.scene = scene;
+
+        // Create canvas for the text texture
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 512;
+        this.canvas.height = 384;
+        this.context = this.canvas.getContext('2d');
+
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.material = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            transparent: true,
+            side: THREE.DoubleSide
+        });
+
+        this.geometry = new THREE.PlaneGeometry(0.8, 0.6);
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+
+        // Left of the timer
+        this.mesh.position.set(-1.1, 2.4, -1.5);
+        this.mesh.visible = false;
+
+        this.scene.add(this.mesh);
+    }
+
+    setVisible(visible) {
+        this.mesh.visible = visible;
+    }
+
+    // adaptive: the game's AdaptiveDifficulty
+    update(adaptive) {
+        const { profile } = adaptive;
+        const lead = adaptive.differential > 0 ? `+${adaptive.differential}` : `${adaptive.differential}`;
+        const lines = [
+            `ADAPTIVE AI  SKILL ${adaptive.skill.toFixed(2)}`,
+            `SETTLED ${adaptive.settledSkill.toFixed(2)}  LEAD ${lead}`,
+            `MISSES ${Math.round(adaptive.missRate * 100)}% (CLOSE ${Math.round(adaptive.closeMissRate * 100)}%)`,
+            `RALLY ${adaptive.rallyLength.toFixed(1)} HITS`,
+            `REACT ${Math.round(profile.reactionMs)}MS  SPEED ${profile.maxSpeed.toFixed(2)}`,
+            `ERROR ${profile.predictionError.toFixed(3)}  ${profile.mode.toUpperCase()}`
+        ];
+
+        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        this.context.fillStyle = '#00ff88';
+        this.context.font = 'bold 34px monospace';
+        this.context.textAlign = 'left';
+        this.context.textBaseline = 'middle';
+
+        lines.forEach((line, index) => {
+            this.context.fillText(line, 20, 40 + index * LINE_HEIGHT, this.canvas.width - 40);
+        });
+
+        this.texture.needsUpdate = true;
+    }
+
+    dispose() {
+        this.geometry.dispose();
+        this.material.dispose();
+        this.texture.dispose();
+        this.scene.remove(this.mesh);
+    }
+}
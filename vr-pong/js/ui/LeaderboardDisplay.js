@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+
+// Top rated multiplayer players, on the back wall between the two score
+// boards. The server pushes the list on connect and after every rated match.
+export class LeaderboardDisplay {
+    constructor(scene, position) {
+        this.scene = scene;
+        this.entries = [];
+        this.highlightId = null;    // Our own player ID, drawn in a different color
+        this.maxRows = 8;
+
+        // Create canvas for the leaderboard texture
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 1024;
+        this.canvas.height = 768;
+        this.context = this.canvas.getContext('2d');
+
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.material = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            transparent: true,
+            side: THREE.DoubleSide
+        });
+
+        this.geometry = new THREE.PlaneGeometry(1.6, 1.2);
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+        this.mesh.position.copy(position);
+
+        this.scene.add(this.mesh);
+
+        this.updateDisplay();
+    }
+
+    updateEntries(entries, highlightId = this.highlightId) {
+        this.entries = entries || [];
+        this.highlightId = highlightId;
+        this.updateDisplay();
+    }
+
+    updateDisplay() {
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        // Panel background
+        ctx.fillStyle = 'rgba(10, 10, 42, 0.8)';
+        ctx.fillRect(0, 0, width, height);
+        ctx.strokeStyle = '#4444ff';
+        ctx.lineWidth = 6;
+        ctx.strokeRect(3, 3, width - 6, height - 6);
+
+        ctx.shadowColor = '#4444ff';
+        ctx.shadowBlur = 15;
+        ctx.textBaseline = 'middle';
+
+        // Title
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 72px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('LEADERBOARD', width / 2, 70);
+
+        if (this.entries.length === 0) {
+            ctx.font = '48px Arial';
+            ctx.fillStyle = '#aaaaff';
+            ctx.fillText('No rated matches yet', width / 2, height / 2);
+            this.texture.needsUpdate = true;
+            return;
+        }
+
+        // One row per player: rank, name, win-loss record, rating
+        const rowHeight = 72;
+        ctx.font = 'bold 48px Arial';
+        this.entries.slice(0, this.maxRows).forEach((entry, index) => {
+            const y = 170 + index * rowHeight;
+            ctx.fillStyle = entry.id === this.highlightId ? '#00ffff' : '#ffffff';
+
+            ctx.textAlign = 'left';
+            ctx.fillText(`${entry.rank}.`, 40, y);
+            ctx.fillText(entry.displayName || 'PLAYER', 130, y, 500);
+
+            ctx.textAlign = 'right';
+            ctx.fillText(`${entry.wins}-${entry.losses}`, 820, y);
+            ctx.fillText(String(entry.rating), width - 40, y);
+        });
+
+        this.texture.needsUpdate = true;
+    }
+
+    dispose() {
+        this.geometry.dispose();
+        this.material.dispose();
+        this.texture.dispose();
+        this.scene.remove(this.mesh);
+    }
+}
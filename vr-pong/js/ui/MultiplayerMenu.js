@@ -1,4 +1,26 @@
 import * as THREE from 'three';
+import { RULE_PRESETS, DEFAULT_RULES } from '../shared/MatchRules.mjs';
+import { AI_DIFFICULTY, DEFAULT_DIFFICULTY } from '../shared/PaddleAI.mjs';
+import { ADAPTIVE_DIFFICULTY } from '../shared/AdaptiveDifficulty.mjs';
+import { OPPONENTS, isUnlocked } from '../shared/Opponents.mjs';
+
+// Room codes are six characters from generateRoomId() on the server (0-9, A-Z)
+const ROOM_CODE_LENGTH = 6;
+const KEYPAD_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const KEYPAD_COLUMNS = 9;
+
+// Lobby browser rows per page
+const LOBBY_PAGE_SIZE = 4;
+
+// Series lengths the host can pick (best of N); see hostGame on the server
+const SERIES_LENGTHS = [1, 3, 5, 7];
+
+// Opponents offered after SINGLE PLAYER: the AI_DIFFICULTY levels, then the
+// AI that adapts to the player
+const DIFFICULTY_CHOICES = [
+    ...Object.entries(AI_DIFFICULTY).map(([id, level]) => ({ id, label: level.label })),
+    { id: ADAPTIVE_DIFFICULTY, label: 'ADAPTIVE' }
+];
 
 export class MultiplayerMenu {
     constructor(scene) {
@@ -8,19 +30,75 @@ export class MultiplayerMenu {
             singleplayer: null,
             host: null,
             join: null,
+            browse: null,
+            joincode: null,
+            spectate: null,
+            rules: null,
             back: null
         };
+        // Keypad keys are named 'key' + character, plus keyDelete, keyClear,
+        // keySubmit and keyCancel
+        this.keypadButtons = {};
+        // Lobby rows are named 'room0'..'room3', plus lobbyPrev, lobbyNext,
+        // lobbyRefresh and lobbyBack
+        this.lobbyButtons = {};
+        // Series picker shown after HOST GAME: series1, series3, series5,
+        // series7 and seriesBack
+        this.seriesButtons = {};
+        // AI difficulty picker shown after SINGLE PLAYER: 'difficulty' +
+        // choice id (see DIFFICULTY_CHOICES), plus difficultyLadder and
+        // difficultyBack
+        this.difficultyButtons = {};
+        // Campaign ladder: 'opponent' + opponent id (see OPPONENTS), plus
+        // ladderBack
+        this.ladderButtons = {};
+        // Match rules picker: 'rules' + preset id (see RULE_PRESETS), plus
+        // rulesBack
+        this.rulesButtons = {};
+        // After a game: rematchAccept and rematchLeave
+        this.postGameButtons = {};
+        // Pause menu: pauseResume (hidden when we can't resume) and pauseQuit
+        this.pauseButtons = {};
         this.isVisible = false;
+        this.isKeypadVisible = false;
+        this.isLobbyVisible = false;
+        this.isSeriesVisible = false;
+        this.isDifficultyVisible = false;
+        this.isLadderVisible = false;
+        this.isRulesVisible = false;
+        this.isPostGameVisible = false;
+        this.isPauseVisible = false;
+        this.rulesId = DEFAULT_RULES;
+        this.difficultyId = DEFAULT_DIFFICULTY;
+        this.beatenOpponents = []; // Campaign opponent ids beaten so far
+        this.rooms = [];
+        this.lobbyPageIndex = 0;
+        this.lobbyStatus = '';
+        this.roomCode = '';
+        this.keypadStatus = '';
+        this.keypadMode = 'join'; // 'join' to play, 'spectate' to watch
+        this.postGame = { title: '', detail: '', status: '' };
+        this.pauseInfo = { title: '', detail: '' };
         this.callbacks = {
-            onSinglePlayer: null,
-            onHost: null,
+            onSinglePlayer: null, // Called with the picked AI_DIFFICULTY id or ADAPTIVE_DIFFICULTY
+            onCampaign: null,   // Called with the picked OPPONENTS id
+            onHost: null,       // Called with the picked series length
+            onRulesChange: null, // Called with the picked RULE_PRESETS id
+            onRematch: null,
+            onLeaveRoom: null,
+            onResume: null,
+            onQuit: null,
             onJoin: null,
+            onJoinCode: null,
+            onSpectateCode: null,
+            onBrowse: null,
             onBack: null
         };
         
         // Add debounce mechanism to prevent multiple activations
         this.lastButtonPressTime = 0;
         this.buttonCooldown = 800; // Increased from 500ms to 800ms to prevent accidental double clicks
+        this.keyCooldown = 250; // Keypad keys need to be quicker to type a code
         
         // Add a buffer time when menu first appears to prevent accidental button presses
         this.showTime = 0;
@@ -43,8 +121,8 @@ export class MultiplayerMenu {
     }
     
     createMenu() {
-        // Create background panel
-        const panelGeometry = new THREE.BoxGeometry(1.2, 1.0, 0.02); // Increased height to accommodate the new button
+        // Create background panel shared by the main page and the keypad
+        const panelGeometry = new THREE.BoxGeometry(1.2, 1.3, 0.02); // Tall enough for seven buttons, the keypad or the lobby
         const panelMaterial = new THREE.MeshStandardMaterial({
             color: 0x000033,
             metalness: 0.8,
@@ -56,6 +134,9 @@ export class MultiplayerMenu {
         const panel = new THREE.Mesh(panelGeometry, panelMaterial);
         this.menuGroup.add(panel);
         
+        this.mainPage = new THREE.Group();
+        this.menuGroup.add(this.mainPage);
+        
         // Create title
         const titleCanvas = document.createElement('canvas');
         const titleContext = titleCanvas.getContext('2d');
@@ -76,35 +157,520 @@ export class MultiplayerMenu {
         
         const titleGeometry = new THREE.PlaneGeometry(0.8, 0.2);
         const titleMesh = new THREE.Mesh(titleGeometry, titleMaterial);
-        titleMesh.position.set(0, 0.35, 0.02);
-        this.menuGroup.add(titleMesh);
+        titleMesh.position.set(0, 0.5, 0.02);
+        this.mainPage.add(titleMesh);
         
         // Create Single Player button
-        this.buttons.singleplayer = this.createButton('SINGLE PLAYER', 0, 0.15, 0.02);
-        this.menuGroup.add(this.buttons.singleplayer);
+        this.buttons.singleplayer = this.createButton('SINGLE PLAYER', 0, 0.32, 0.02, 0.6, 0.13);
+        this.mainPage.add(this.buttons.singleplayer);
         
         // Create Host Game button
-        this.buttons.host = this.createButton('HOST GAME', 0, -0.05, 0.02);
-        this.menuGroup.add(this.buttons.host);
+        this.buttons.host = this.createButton('HOST GAME', 0, 0.17, 0.02, 0.6, 0.13);
+        this.mainPage.add(this.buttons.host);
         
         // Create Quick Join button
-        this.buttons.join = this.createButton('QUICK JOIN', 0, -0.25, 0.02);
-        this.menuGroup.add(this.buttons.join);
+        this.buttons.join = this.createButton('QUICK JOIN', 0, 0.02, 0.02, 0.6, 0.13);
+        this.mainPage.add(this.buttons.join);
+        
+        // Create Browse Games button (opens the lobby)
+        this.buttons.browse = this.createButton('BROWSE GAMES', 0, -0.13, 0.02, 0.6, 0.13);
+        this.mainPage.add(this.buttons.browse);
+        
+        // Create Join By Code button (opens the keypad)
+        this.buttons.joincode = this.createButton('JOIN BY CODE', 0, -0.28, 0.02, 0.6, 0.13);
+        this.mainPage.add(this.buttons.joincode);
+        
+        // Create Watch Game button (opens the keypad to spectate)
+        this.buttons.spectate = this.createButton('WATCH GAME', 0, -0.43, 0.02, 0.6, 0.13);
+        this.mainPage.add(this.buttons.spectate);
+        
+        // Rules (opens the rules picker) and Back share the last row
+        this.buttons.rules = this.createButton('RULES', -0.155, -0.58, 0.02, 0.29, 0.13);
+        this.mainPage.add(this.buttons.rules);
         
         // Create Back button
-        this.buttons.back = this.createButton('BACK', 0, -0.45, 0.02);
-        this.menuGroup.add(this.buttons.back);
+        this.buttons.back = this.createButton('BACK', 0.155, -0.58, 0.02, 0.29, 0.13);
+        this.mainPage.add(this.buttons.back);
+        
+        this.createKeypad();
+        this.createLobby();
+        this.createSeriesPicker();
+        this.createDifficultyPicker();
+        this.createLadder();
+        this.createRulesPicker();
+        this.createPostGame();
+        this.createPauseMenu();
         
         // Position the menu in front of the player
-        this.menuGroup.position.set(0, 1.3, -1.0);
+        this.menuGroup.position.set(0, 1.4, -1.0);
         this.scene.add(this.menuGroup);
     }
     
-    createButton(text, x, y, z) {
+    createKeypad() {
+        this.keypadPage = new THREE.Group();
+        this.keypadPage.visible = false;
+        this.menuGroup.add(this.keypadPage);
+        
+        // Code display: the typed characters plus a status line
+        this.codeCanvas = document.createElement('canvas');
+        this.codeCanvas.width = 512;
+        this.codeCanvas.height = 128;
+        this.codeContext = this.codeCanvas.getContext('2d');
+        this.codeTexture = new THREE.CanvasTexture(this.codeCanvas);
+        
+        const codeMesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(0.8, 0.2),
+            new THREE.MeshBasicMaterial({ map: this.codeTexture, transparent: true })
+        );
+        codeMesh.position.set(0, 0.42, 0.02);
+        this.keypadPage.add(codeMesh);
+        
+        // Character grid
+        const keySize = 0.11;
+        const keySpacing = 0.125;
+        const gridLeft = -keySpacing * (KEYPAD_COLUMNS - 1) / 2;
+        
+        [...KEYPAD_CHARACTERS].forEach((character, index) => {
+            const column = index % KEYPAD_COLUMNS;
+            const row = Math.floor(index / KEYPAD_COLUMNS);
+            const key = this.createButton(
+                character,
+                gridLeft + column * keySpacing,
+                0.22 - row * 0.13,
+                0.02,
+                keySize,
+                keySize
+            );
+            this.keypadButtons[`key${character}`] = key;
+            this.keypadPage.add(key);
+        });
+        
+        // Action row
+        const actions = [
+            ['keyCancel', 'BACK'],
+            ['keyClear', 'CLEAR'],
+            ['keyDelete', 'DEL'],
+            ['keySubmit', 'OK']
+        ];
+        actions.forEach(([name, label], index) => {
+            const key = this.createButton(label, -0.405 + index * 0.27, -0.38, 0.02, 0.24, 0.12);
+            this.keypadButtons[name] = key;
+            this.keypadPage.add(key);
+        });
+        
+        this.updateCodeDisplay();
+    }
+    
+    createLobby() {
+        this.lobbyPage = new THREE.Group();
+        this.lobbyPage.visible = false;
+        this.menuGroup.add(this.lobbyPage);
+        
+        // Header: title plus page / status line
+        this.lobbyCanvas = document.createElement('canvas');
+        this.lobbyCanvas.width = 512;
+        this.lobbyCanvas.height = 128;
+        this.lobbyContext = this.lobbyCanvas.getContext('2d');
+        this.lobbyTexture = new THREE.CanvasTexture(this.lobbyCanvas);
+        
+        const headerMesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(0.8, 0.2),
+            new THREE.MeshBasicMaterial({ map: this.lobbyTexture, transparent: true })
+        );
+        headerMesh.position.set(0, 0.48, 0.02);
+        this.lobbyPage.add(headerMesh);
+        
+        // One wide row per room; the text is filled in by updateLobbyDisplay()
+        for (let i = 0; i < LOBBY_PAGE_SIZE; i++) {
+            const row = this.createButton('', 0, 0.28 - i * 0.18, 0.02, 1.0, 0.15);
+            row.visible = false;
+            this.lobbyButtons[`room${i}`] = row;
+            this.lobbyPage.add(row);
+        }
+        
+        // Navigation row
+        const actions = [
+            ['lobbyBack', 'BACK'],
+            ['lobbyPrev', 'PREV'],
+            ['lobbyNext', 'NEXT'],
+            ['lobbyRefresh', 'REFRESH']
+        ];
+        actions.forEach(([name, label], index) => {
+            const key = this.createButton(label, -0.405 + index * 0.27, -0.5, 0.02, 0.24, 0.12);
+            this.lobbyButtons[name] = key;
+            this.lobbyPage.add(key);
+        });
+    }
+    
+    createSeriesPicker() {
+        this.seriesPage = new THREE.Group();
+        this.seriesPage.visible = false;
+        this.menuGroup.add(this.seriesPage);
+        
+        const header = createTextPanel(0.8, 0.2);
+        header.mesh.position.set(0, 0.48, 0.02);
+        drawHeader(header, 'HOST GAME', 'HOW MANY GAMES?');
+        this.seriesPage.add(header.mesh);
+        this.seriesHeader = header;
+        
+        SERIES_LENGTHS.forEach((length, index) => {
+            const label = length === 1 ? 'SINGLE GAME' : `BEST OF ${length}`;
+            const button = this.createButton(label, 0, 0.26 - index * 0.17, 0.02, 0.6, 0.13);
+            this.seriesButtons[`series${length}`] = button;
+            this.seriesPage.add(button);
+        });
+        
+        this.seriesButtons.seriesBack = this.createButton('BACK', 0, -0.5, 0.02, 0.6, 0.13);
+        this.seriesPage.add(this.seriesButtons.seriesBack);
+    }
+    
+    createDifficultyPicker() {
+        this.difficultyPage = new THREE.Group();
+        this.difficultyPage.visible = false;
+        this.menuGroup.add(this.difficultyPage);
+        
+        this.difficultyHeader = createTextPanel(0.8, 0.2);
+        this.difficultyHeader.mesh.position.set(0, 0.48, 0.02);
+        drawHeader(this.difficultyHeader, 'SINGLE PLAYER', 'HOW GOOD IS YOUR OPPONENT?');
+        this.difficultyPage.add(this.difficultyHeader.mesh);
+        
+        DIFFICULTY_CHOICES.forEach(({ id }, index) => {
+            const button = this.createButton('', 0, 0.3 - index * 0.15, 0.02, 0.6, 0.13);
+            this.difficultyButtons[`difficulty${id}`] = button;
+            this.difficultyPage.add(button);
+        });
+        
+        // Campaign (opens the ladder) and Back share the last row
+        this.difficultyButtons.difficultyLadder = this.createButton('CAMPAIGN', -0.155, -0.5, 0.02, 0.29, 0.13);
+        this.difficultyPage.add(this.difficultyButtons.difficultyLadder);
+        
+        this.difficultyButtons.difficultyBack = this.createButton('BACK', 0.155, -0.5, 0.02, 0.29, 0.13);
+        this.difficultyPage.add(this.difficultyButtons.difficultyBack);
+        this.updateDifficultyDisplay();
+    }
+    
+    createLadder() {
+        this.ladderPage = new THREE.Group();
+        this.ladderPage.visible = false;
+        this.menuGroup.add(this.ladderPage);
+        
+        this.ladderHeader = createTextPanel(0.8, 0.2);
+        this.ladderHeader.mesh.position.set(0, 0.48, 0.02);
+        drawHeader(this.ladderHeader, 'CAMPAIGN', 'BEAT EACH OPPONENT TO UNLOCK THE NEXT');
+        this.ladderPage.add(this.ladderHeader.mesh);
+        
+        OPPONENTS.forEach(({ id }, index) => {
+            const button = this.createButton('', 0, 0.3 - index * 0.15, 0.02, 0.8, 0.13);
+            this.ladderButtons[`opponent${id}`] = button;
+            this.ladderPage.add(button);
+        });
+        
+        this.ladderButtons.ladderBack = this.createButton('BACK', 0, -0.5, 0.02, 0.6, 0.13);
+        this.ladderPage.add(this.ladderButtons.ladderBack);
+        this.updateLadderDisplay();
+    }
+    
+    // Name and style of each opponent unlocked so far
+    updateLadderDisplay() {
+        for (const { id, name, style } of OPPONENTS) {
+            let text = 'LOCKED';
+            if (this.beatenOpponents.includes(id)) {
+                text = `${name} - BEATEN`;
+            } else if (isUnlocked(id, this.beatenOpponents)) {
+                text = `${name} - ${style}`;
+            }
+            this.setButtonText(this.ladderButtons[`opponent${id}`], text);
+        }
+    }
+    
+    // beaten: ids of the campaign opponents beaten so far
+    setCampaignProgress(beaten) {
+        this.beatenOpponents = [...beaten];
+        this.updateLadderDisplay();
+    }
+    
+    // Mark the level played last
+    updateDifficultyDisplay() {
+        for (const { id, label } of DIFFICULTY_CHOICES) {
+            const text = id === this.difficultyId ? `> ${label} <` : label;
+            this.setButtonText(this.difficultyButtons[`difficulty${id}`], text);
+        }
+    }
+    
+    setDifficulty(difficultyId) {
+        this.difficultyId = difficultyId;
+        this.updateDifficultyDisplay();
+    }
+    
+    createRulesPicker() {
+        this.rulesPage = new THREE.Group();
+        this.rulesPage.visible = false;
+        this.menuGroup.add(this.rulesPage);
+        
+        this.rulesHeader = createTextPanel(0.8, 0.2);
+        this.rulesHeader.mesh.position.set(0, 0.48, 0.02);
+        this.rulesPage.add(this.rulesHeader.mesh);
+        
+        Object.keys(RULE_PRESETS).forEach((id, index) => {
+            const button = this.createButton('', 0, 0.26 - index * 0.17, 0.02, 0.6, 0.13);
+            this.rulesButtons[`rules${id}`] = button;
+            this.rulesPage.add(button);
+        });
+        
+        this.rulesButtons.rulesBack = this.createButton('BACK', 0, -0.5, 0.02, 0.6, 0.13);
+        this.rulesPage.add(this.rulesButtons.rulesBack);
+        this.updateRulesDisplay();
+    }
+    
+    // Mark the picked preset
+    updateRulesDisplay() {
+        drawHeader(this.rulesHeader, 'MATCH RULES', 'SINGLE PLAYER AND HOSTED GAMES');
+        for (const [id, rules] of Object.entries(RULE_PRESETS)) {
+            const label = id === this.rulesId ? `> ${rules.label} <` : rules.label;
+            this.setButtonText(this.rulesButtons[`rules${id}`], label);
+        }
+    }
+    
+    setRules(rulesId) {
+        this.rulesId = rulesId;
+        this.updateRulesDisplay();
+    }
+    
+    createPostGame() {
+        this.postGamePage = new THREE.Group();
+        this.postGamePage.visible = false;
+        this.menuGroup.add(this.postGamePage);
+        
+        // Result, series standing and rematch vote, one line each
+        this.postGamePanel = createTextPanel(1.0, 0.6, 640, 384);
+        this.postGamePanel.mesh.position.set(0, 0.25, 0.02);
+        this.postGamePage.add(this.postGamePanel.mesh);
+        
+        this.postGameButtons.rematchAccept = this.createButton('REMATCH', 0, -0.2, 0.02, 0.6, 0.13);
+        this.postGameButtons.rematchLeave = this.createButton('LEAVE', 0, -0.4, 0.02, 0.6, 0.13);
+        this.postGamePage.add(this.postGameButtons.rematchAccept);
+        this.postGamePage.add(this.postGameButtons.rematchLeave);
+    }
+    
+    updatePostGameDisplay() {
+        const { canvas, context, texture } = this.postGamePanel;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#ffffff';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        
+        context.font = 'bold 72px Arial';
+        context.fillText(this.postGame.title, canvas.width / 2, 70, canvas.width - 32);
+        context.font = 'bold 36px Arial';
+        this.postGame.detail.split('\n').forEach((line, index) => {
+            context.fillText(line, canvas.width / 2, 170 + index * 56, canvas.width - 32);
+        });
+        context.font = 'bold 30px Arial';
+        context.fillStyle = '#00ffff';
+        context.fillText(this.postGame.status, canvas.width / 2, 340, canvas.width - 32);
+        texture.needsUpdate = true;
+    }
+    
+    // Show the game-over page. detail may hold several lines separated by \n.
+    showPostGame({ title, detail = '', status = '', acceptLabel = 'REMATCH', leaveLabel = 'LEAVE' }) {
+        this.postGame = { title, detail, status };
+        this.setButtonText(this.postGameButtons.rematchAccept, acceptLabel);
+        this.setButtonText(this.postGameButtons.rematchLeave, leaveLabel);
+        this.updatePostGameDisplay();
+        
+        this.show();
+        this.mainPage.visible = false;
+        this.postGamePage.visible = true;
+        this.isPostGameVisible = true;
+    }
+    
+    setPostGameStatus(status) {
+        this.postGame.status = status;
+        this.updatePostGameDisplay();
+    }
+    
+    createPauseMenu() {
+        this.pausePage = new THREE.Group();
+        this.pausePage.visible = false;
+        this.menuGroup.add(this.pausePage);
+        
+        // Who paused and what is left of the pause budget
+        this.pausePanel = createTextPanel(1.0, 0.5, 640, 320);
+        this.pausePanel.mesh.position.set(0, 0.3, 0.02);
+        this.pausePage.add(this.pausePanel.mesh);
+        
+        this.pauseButtons.pauseResume = this.createButton('RESUME', 0, -0.15, 0.02, 0.6, 0.13);
+        this.pauseButtons.pauseQuit = this.createButton('QUIT', 0, -0.35, 0.02, 0.6, 0.13);
+        this.pausePage.add(this.pauseButtons.pauseResume);
+        this.pausePage.add(this.pauseButtons.pauseQuit);
+    }
+    
+    updatePauseDisplay() {
+        const { canvas, context, texture } = this.pausePanel;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#ffffff';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        
+        context.font = 'bold 72px Arial';
+        context.fillText(this.pauseInfo.title, canvas.width / 2, 70, canvas.width - 32);
+        context.font = 'bold 32px Arial';
+        this.pauseInfo.detail.split('\n').forEach((line, index) => {
+            context.fillText(line, canvas.width / 2, 170 + index * 52, canvas.width - 32);
+        });
+        texture.needsUpdate = true;
+    }
+    
+    // Show the pause menu. Without canResume only QUIT is offered (the
+    // other player paused and decides when to go on).
+    showPauseMenu({ title = 'PAUSED', detail = '', canResume = true }) {
+        this.pauseInfo = { title, detail };
+        this.pauseButtons.pauseResume.visible = canResume;
+        this.updatePauseDisplay();
+        
+        this.show();
+        this.mainPage.visible = false;
+        this.pausePage.visible = true;
+        this.isPauseVisible = true;
+    }
+    
+    showSeriesPicker() {
+        this.mainPage.visible = false;
+        this.seriesPage.visible = true;
+        this.isSeriesVisible = true;
+        this.setSeriesStatus('');
+    }
+    
+    // Shown under the host page's title instead of its question, e.g. why
+    // hosting failed; '' puts the question back
+    setSeriesStatus(status) {
+        drawHeader(this.seriesHeader, 'HOST GAME', status || 'HOW MANY GAMES?');
+    }
+    
+    showDifficultyPicker() {
+        this.mainPage.visible = false;
+        this.difficultyPage.visible = true;
+        this.isDifficultyVisible = true;
+    }
+    
+    showLadder() {
+        this.difficultyPage.visible = false;
+        this.isDifficultyVisible = false;
+        this.ladderPage.visible = true;
+        this.isLadderVisible = true;
+    }
+    
+    showRulesPicker() {
+        this.mainPage.visible = false;
+        this.rulesPage.visible = true;
+        this.isRulesVisible = true;
+    }
+    
+    updateLobbyDisplay() {
+        const pageCount = Math.max(1, Math.ceil(this.rooms.length / LOBBY_PAGE_SIZE));
+        this.lobbyPageIndex = Math.min(this.lobbyPageIndex, pageCount - 1);
+        
+        const context = this.lobbyContext;
+        context.clearRect(0, 0, this.lobbyCanvas.width, this.lobbyCanvas.height);
+        context.fillStyle = '#ffffff';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        
+        context.font = 'bold 56px Arial';
+        context.fillText('OPEN GAMES', this.lobbyCanvas.width / 2, 44);
+        
+        let status = this.lobbyStatus;
+        if (!status) {
+            status = this.rooms.length === 0
+                ? 'NO GAMES RIGHT NOW - TRY HOSTING ONE'
+                : `PAGE ${this.lobbyPageIndex + 1} OF ${pageCount}`;
+        }
+        context.font = 'bold 24px Arial';
+        context.fillText(status, this.lobbyCanvas.width / 2, 104);
+        this.lobbyTexture.needsUpdate = true;
+        
+        // Rooms on the current page
+        for (let i = 0; i < LOBBY_PAGE_SIZE; i++) {
+            const row = this.lobbyButtons[`room${i}`];
+            const room = this.rooms[this.lobbyPageIndex * LOBBY_PAGE_SIZE + i];
+            row.visible = Boolean(room);
+            if (room) {
+                this.setButtonText(row, formatRoomRow(room));
+            }
+        }
+    }
+    
+    // Room list from the server (listRooms socket event or GET /api/rooms)
+    setRoomList(rooms) {
+        this.rooms = rooms || [];
+        this.lobbyStatus = '';
+        this.updateLobbyDisplay();
+    }
+    
+    handleLobbyButton(buttonKey) {
+        const pageCount = Math.max(1, Math.ceil(this.rooms.length / LOBBY_PAGE_SIZE));
+        
+        if (buttonKey === 'lobbyBack') {
+            this.showMainPage();
+        } else if (buttonKey === 'lobbyPrev') {
+            this.lobbyPageIndex = (this.lobbyPageIndex - 1 + pageCount) % pageCount;
+            this.updateLobbyDisplay();
+        } else if (buttonKey === 'lobbyNext') {
+            this.lobbyPageIndex = (this.lobbyPageIndex + 1) % pageCount;
+            this.updateLobbyDisplay();
+        } else if (buttonKey === 'lobbyRefresh') {
+            this.requestRoomList();
+        } else {
+            const index = this.lobbyPageIndex * LOBBY_PAGE_SIZE + Number(buttonKey.slice('room'.length));
+            const room = this.rooms[index];
+            if (!room) return;
+            
+            // Open rooms are joined, anything else can still be watched
+            if (room.joinable) {
+                if (this.callbacks.onJoinCode) {
+                    this.callbacks.onJoinCode(room.roomId);
+                }
+            } else if (this.callbacks.onSpectateCode) {
+                this.callbacks.onSpectateCode(room.roomId);
+            }
+        }
+    }
+    
+    requestRoomList() {
+        this.lobbyStatus = 'LOADING...';
+        this.updateLobbyDisplay();
+        if (this.callbacks.onBrowse) {
+            this.callbacks.onBrowse();
+        }
+    }
+    
+    updateCodeDisplay() {
+        const context = this.codeContext;
+        context.clearRect(0, 0, this.codeCanvas.width, this.codeCanvas.height);
+        context.fillStyle = '#ffffff';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        
+        // Show typed characters followed by placeholders, e.g. "A B 3 _ _ _"
+        const slots = [];
+        for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+            slots.push(this.roomCode[i] || '_');
+        }
+        context.font = 'bold 64px Arial';
+        context.fillText(slots.join(' '), this.codeCanvas.width / 2, 48);
+        
+        context.font = 'bold 24px Arial';
+        const prompt = this.keypadMode === 'spectate' ? 'ENTER ROOM CODE TO WATCH' : 'ENTER ROOM CODE';
+        context.fillText(this.keypadStatus || prompt, this.codeCanvas.width / 2, 108);
+        
+        this.codeTexture.needsUpdate = true;
+    }
+    
+    createButton(text, x, y, z, width = 0.6, height = 0.15) {
         const group = new THREE.Group();
         
         // Create button geometry
-        const buttonGeometry = new THREE.BoxGeometry(0.6, 0.15, 0.04);
+        const buttonGeometry = new THREE.BoxGeometry(width, height, 0.04);
         const buttonMaterial = new THREE.MeshStandardMaterial({
             color: this.buttonColors.base,
             emissive: this.buttonColors.base,
@@ -116,17 +682,14 @@ export class MultiplayerMenu {
         const buttonMesh = new THREE.Mesh(buttonGeometry, buttonMaterial);
         group.add(buttonMesh);
         
-        // Create text
+        // Create text. Wide menu buttons keep their 256x64 canvas, keypad
+        // keys get a canvas matching their shape so characters aren't stretched.
+        // Lobby rows are wider than menu buttons and widen their canvas to match.
+        const isWide = width / height >= 3;
         const canvas = document.createElement('canvas');
         const context = canvas.getContext('2d');
-        canvas.width = 256;
-        canvas.height = 64;
-        
-        context.fillStyle = '#ffffff';
-        context.font = 'bold 32px Arial';
-        context.textAlign = 'center';
-        context.textBaseline = 'middle';
-        context.fillText(text, canvas.width / 2, canvas.height / 2);
+        canvas.width = width > 0.6 ? Math.round(256 * width / 0.6) : 256;
+        canvas.height = isWide ? 64 : Math.round(256 * height / width);
         
         const textTexture = new THREE.CanvasTexture(canvas);
         const textMaterial = new THREE.MeshBasicMaterial({
@@ -134,11 +697,22 @@ export class MultiplayerMenu {
             transparent: true
         });
         
-        const textGeometry = new THREE.PlaneGeometry(0.55, 0.1);
+        const textGeometry = isWide
+            ? new THREE.PlaneGeometry(width - 0.05, height - 0.05)
+            : new THREE.PlaneGeometry(width * 0.9, height * 0.9);
         const textMesh = new THREE.Mesh(textGeometry, textMaterial);
         textMesh.position.z = 0.021;
         group.add(textMesh);
         
+        // Kept so the text can be redrawn (see setButtonText)
+        group.userData.label = {
+            canvas,
+            context,
+            texture: textTexture,
+            fontSize: isWide ? 32 : Math.round(canvas.height * 0.45)
+        };
+        this.setButtonText(group, text);
+        
         // Set position
         group.position.set(x, y, z);
         
@@ -155,16 +729,20 @@ export class MultiplayerMenu {
         return group;
     }
     
+    setButtonText(button, text) {
+        const { canvas, context, texture, fontSize } = button.userData.label;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#ffffff';
+        context.font = `bold ${fontSize}px Arial`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, canvas.width / 2, canvas.height / 2, canvas.width - 16);
+        texture.needsUpdate = true;
+    }
+    
     checkIntersection(controller) {
         if (!this.isVisible) return null;
         
-        // Skip intersection checks if we're still in the initial delay period
-        const now = Date.now();
-        if (now - this.showTime < this.showDelay) {
-            // Still in delay period, don't process interactions yet
-            return null;
-        }
-        
         const tempMatrix = new THREE.Matrix4();
         tempMatrix.identity().extractRotation(controller.matrixWorld);
         
@@ -172,8 +750,22 @@ export class MultiplayerMenu {
         raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
         raycaster.ray.direction.set(0, 0, -1).applyMatrix4(tempMatrix);
         
-        // Check intersection with each button
-        for (const [key, button] of Object.entries(this.buttons)) {
+        return this.checkRaycasterIntersection(raycaster);
+    }
+    
+    // Shared by VR controller rays and the desktop mouse raycaster
+    checkRaycasterIntersection(raycaster) {
+        if (!this.isVisible) return null;
+        
+        // Skip intersection checks if we're still in the initial delay period
+        const now = Date.now();
+        if (now - this.showTime < this.showDelay) {
+            // Still in delay period, don't process interactions yet
+            return null;
+        }
+        
+        // Check intersection with each button on the visible page
+        for (const [key, button] of Object.entries(this.getActiveButtons())) {
             const buttonMesh = button.children[0];
             const intersects = raycaster.intersectObject(buttonMesh);
             
@@ -188,39 +780,71 @@ export class MultiplayerMenu {
         return null;
     }
     
+    // Buttons on the page currently shown (main menu, keypad, lobby, series
+    // picker, difficulty picker, campaign ladder, rules picker, game over or
+    // pause).
+    // Hidden buttons (empty lobby rows, RESUME for the player who didn't
+    // pause) must not catch rays.
+    getActiveButtons() {
+        if (this.isSeriesVisible) return this.seriesButtons;
+        if (this.isDifficultyVisible) return this.difficultyButtons;
+        if (this.isLadderVisible) return this.ladderButtons;
+        if (this.isRulesVisible) return this.rulesButtons;
+        if (this.isPostGameVisible) return this.postGameButtons;
+        if (this.isPauseVisible) return visibleButtons(this.pauseButtons);
+        if (this.isLobbyVisible) return visibleButtons(this.lobbyButtons);
+        return this.isKeypadVisible ? this.keypadButtons : this.buttons;
+    }
+    
+    getActiveButtonKeys() {
+        return Object.keys(this.getActiveButtons());
+    }
+    
+    getButton(buttonKey) {
+        return this.buttons[buttonKey] || this.keypadButtons[buttonKey] || this.lobbyButtons[buttonKey]
+            || this.seriesButtons[buttonKey] || this.difficultyButtons[buttonKey] || this.ladderButtons[buttonKey]
+            || this.rulesButtons[buttonKey] || this.postGameButtons[buttonKey] || this.pauseButtons[buttonKey];
+    }
+    
     highlightButton(buttonKey) {
-        if (!this.buttons[buttonKey]) return;
+        const button = this.getButton(buttonKey);
+        if (!button) return;
         
-        const buttonMesh = this.buttons[buttonKey].children[0];
+        const buttonMesh = button.children[0];
         buttonMesh.material.color.setHex(buttonMesh.userData.hoverColor);
         buttonMesh.material.emissive.setHex(buttonMesh.userData.hoverColor);
         buttonMesh.material.emissiveIntensity = 0.5;
         
         // Apply scale animation for hover effect (1.1x scale)
-        this.buttons[buttonKey].scale.set(1.1, 1.1, 1.1);
+        button.scale.set(1.1, 1.1, 1.1);
         
         buttonMesh.userData.isHighlighted = true;
     }
     
     unhighlightButton(buttonKey) {
-        if (!this.buttons[buttonKey]) return;
+        const button = this.getButton(buttonKey);
+        if (!button) return;
         
-        const buttonMesh = this.buttons[buttonKey].children[0];
+        const buttonMesh = button.children[0];
         buttonMesh.material.color.setHex(buttonMesh.userData.originalColor);
         buttonMesh.material.emissive.setHex(buttonMesh.userData.originalColor);
         buttonMesh.material.emissiveIntensity = 0.2;
         
         // Reset scale
-        this.buttons[buttonKey].scale.set(1.0, 1.0, 1.0);
+        button.scale.set(1.0, 1.0, 1.0);
         
         buttonMesh.userData.isHighlighted = false;
     }
     
     pressButton(buttonKey) {
-        if (!this.buttons[buttonKey]) return;
+        const button = this.getButton(buttonKey);
+        if (!button) return;
         
         // Implement debounce to prevent rapid repeated button presses
         const now = Date.now();
+        const isKeypadKey = buttonKey in this.keypadButtons;
+        const isLobbyKey = buttonKey in this.lobbyButtons;
+        const cooldown = isKeypadKey ? this.keyCooldown : this.buttonCooldown;
         
         // Skip button press if we're still in the initial delay period
         if (now - this.showTime < this.showDelay) {
@@ -228,29 +852,79 @@ export class MultiplayerMenu {
             return;
         }
         
-        if (now - this.lastButtonPressTime < this.buttonCooldown) {
-            console.log(`MultiplayerMenu: Button ${buttonKey} press ignored (cooldown active): ${now - this.lastButtonPressTime}ms since last press. Last press: ${this.lastButtonPressTime}, Current time: ${now}, Cooldown: ${this.buttonCooldown}ms`);
+        if (now - this.lastButtonPressTime < cooldown) {
+            console.log(`MultiplayerMenu: Button ${buttonKey} press ignored (cooldown active): ${now - this.lastButtonPressTime}ms since last press. Last press: ${this.lastButtonPressTime}, Current time: ${now}, Cooldown: ${cooldown}ms`);
             return;
         }
         console.log(`MultiplayerMenu: Button ${buttonKey} pressed successfully at ${now}`);
         this.lastButtonPressTime = now;
         
-        const buttonMesh = this.buttons[buttonKey].children[0];
+        const buttonMesh = button.children[0];
         buttonMesh.material.color.setHex(buttonMesh.userData.clickColor);
         buttonMesh.material.emissive.setHex(buttonMesh.userData.clickColor);
         buttonMesh.material.emissiveIntensity = 0.2;
         
         // Apply position animation for depth effect
-        this.buttons[buttonKey].position.z += 0.01;
+        button.position.z += 0.01;
         
         // Execute callback
         console.log(`MultiplayerMenu: Executing callback for button: ${buttonKey}`);
-        if (buttonKey === 'singleplayer' && this.callbacks.onSinglePlayer) {
-            this.callbacks.onSinglePlayer();
-        } else if (buttonKey === 'host' && this.callbacks.onHost) {
-            this.callbacks.onHost();
+        if (isKeypadKey) {
+            this.handleKeypadKey(buttonKey);
+        } else if (isLobbyKey) {
+            this.handleLobbyButton(buttonKey);
+        } else if (buttonKey === 'seriesBack') {
+            this.showMainPage();
+        } else if (buttonKey in this.seriesButtons) {
+            if (this.callbacks.onHost) {
+                this.callbacks.onHost(Number(buttonKey.slice('series'.length)));
+            }
+        } else if (buttonKey === 'difficultyBack') {
+            this.showMainPage();
+        } else if (buttonKey === 'difficultyLadder') {
+            this.showLadder();
+        } else if (buttonKey in this.difficultyButtons) {
+            this.setDifficulty(buttonKey.slice('difficulty'.length));
+            if (this.callbacks.onSinglePlayer) {
+                this.callbacks.onSinglePlayer(this.difficultyId);
+            }
+        } else if (buttonKey === 'ladderBack') {
+            this.showMainPage();
+            this.showDifficultyPicker();
+        } else if (buttonKey in this.ladderButtons) {
+            const opponentId = buttonKey.slice('opponent'.length);
+            if (isUnlocked(opponentId, this.beatenOpponents) && this.callbacks.onCampaign) {
+                this.callbacks.onCampaign(opponentId);
+            }
+        } else if (buttonKey === 'rulesBack') {
+            this.showMainPage();
+        } else if (buttonKey in this.rulesButtons) {
+            this.setRules(buttonKey.slice('rules'.length));
+            if (this.callbacks.onRulesChange) {
+                this.callbacks.onRulesChange(this.rulesId);
+            }
+        } else if (buttonKey === 'rematchAccept' && this.callbacks.onRematch) {
+            this.callbacks.onRematch();
+        } else if (buttonKey === 'rematchLeave' && this.callbacks.onLeaveRoom) {
+            this.callbacks.onLeaveRoom();
+        } else if (buttonKey === 'pauseResume' && this.callbacks.onResume) {
+            this.callbacks.onResume();
+        } else if (buttonKey === 'pauseQuit' && this.callbacks.onQuit) {
+            this.callbacks.onQuit();
+        } else if (buttonKey === 'singleplayer') {
+            this.showDifficultyPicker();
+        } else if (buttonKey === 'host') {
+            this.showSeriesPicker();
+        } else if (buttonKey === 'rules') {
+            this.showRulesPicker();
         } else if (buttonKey === 'join' && this.callbacks.onJoin) {
             this.callbacks.onJoin();
+        } else if (buttonKey === 'browse') {
+            this.showLobby();
+        } else if (buttonKey === 'joincode') {
+            this.showKeypad('join');
+        } else if (buttonKey === 'spectate') {
+            this.showKeypad('spectate');
         } else if (buttonKey === 'back' && this.callbacks.onBack) {
             this.callbacks.onBack();
         }
@@ -258,33 +932,142 @@ export class MultiplayerMenu {
         // Reset button state after 300ms (matching the transition duration)
         console.log(`MultiplayerMenu: Setting timeout to reset button ${buttonKey} in 300ms`);
         setTimeout(() => {
-            if (this.buttons[buttonKey]) {
-                this.buttons[buttonKey].position.z -= 0.01;
-                this.unhighlightButton(buttonKey);
-                console.log(`MultiplayerMenu: Button ${buttonKey} reset completed`);
-            }
+            button.position.z -= 0.01;
+            this.unhighlightButton(buttonKey);
+            console.log(`MultiplayerMenu: Button ${buttonKey} reset completed`);
         }, 300);
     }
     
+    handleKeypadKey(buttonKey) {
+        this.keypadStatus = '';
+        
+        if (buttonKey === 'keyCancel') {
+            this.showMainPage();
+            return;
+        } else if (buttonKey === 'keyClear') {
+            this.roomCode = '';
+        } else if (buttonKey === 'keyDelete') {
+            this.roomCode = this.roomCode.slice(0, -1);
+        } else if (buttonKey === 'keySubmit') {
+            this.submitRoomCode();
+            return;
+        } else if (this.roomCode.length < ROOM_CODE_LENGTH) {
+            this.roomCode += buttonKey.slice('key'.length);
+        }
+        
+        this.updateCodeDisplay();
+    }
+    
+    // Typed input from a physical keyboard while the keypad is open (desktop)
+    handleKeyboardInput(key) {
+        if (!this.isVisible || !this.isKeypadVisible) return false;
+        
+        const character = key.length === 1 ? key.toUpperCase() : null;
+        let buttonKey = null;
+        
+        if (character && KEYPAD_CHARACTERS.includes(character)) {
+            buttonKey = `key${character}`;
+        } else if (key === 'Backspace') {
+            buttonKey = 'keyDelete';
+        } else if (key === 'Enter') {
+            buttonKey = 'keySubmit';
+        }
+        
+        // Swallow everything else too (except Escape, which closes the keypad)
+        if (buttonKey) {
+            this.handleKeypadKey(buttonKey);
+        }
+        return key !== 'Escape';
+    }
+    
+    submitRoomCode() {
+        if (this.roomCode.length < ROOM_CODE_LENGTH) {
+            this.keypadStatus = `CODE NEEDS ${ROOM_CODE_LENGTH} CHARACTERS`;
+            this.updateCodeDisplay();
+            return;
+        }
+        
+        console.log(`MultiplayerMenu: Submitting room code ${this.roomCode} (${this.keypadMode})`);
+        if (this.keypadMode === 'spectate') {
+            if (this.callbacks.onSpectateCode) {
+                this.callbacks.onSpectateCode(this.roomCode);
+            }
+        } else if (this.callbacks.onJoinCode) {
+            this.callbacks.onJoinCode(this.roomCode);
+        }
+    }
+    
+    showKeypad(mode = 'join') {
+        this.keypadMode = mode;
+        this.roomCode = '';
+        this.keypadStatus = '';
+        this.updateCodeDisplay();
+        this.mainPage.visible = false;
+        this.keypadPage.visible = true;
+        this.isKeypadVisible = true;
+    }
+    
+    showLobby() {
+        this.rooms = [];
+        this.lobbyPageIndex = 0;
+        this.mainPage.visible = false;
+        this.lobbyPage.visible = true;
+        this.isLobbyVisible = true;
+        this.requestRoomList();
+    }
+    
+    showMainPage() {
+        this.keypadPage.visible = false;
+        this.lobbyPage.visible = false;
+        this.seriesPage.visible = false;
+        this.difficultyPage.visible = false;
+        this.ladderPage.visible = false;
+        this.rulesPage.visible = false;
+        this.postGamePage.visible = false;
+        this.pausePage.visible = false;
+        this.mainPage.visible = true;
+        this.isKeypadVisible = false;
+        this.isLobbyVisible = false;
+        this.isSeriesVisible = false;
+        this.isDifficultyVisible = false;
+        this.isLadderVisible = false;
+        this.isRulesVisible = false;
+        this.isPostGameVisible = false;
+        this.isPauseVisible = false;
+    }
+    
     setCallbacks(callbacks) {
         this.callbacks = { ...this.callbacks, ...callbacks };
     }
     
     show() {
+        this.showMainPage();
         this.menuGroup.visible = true;
         this.isVisible = true;
         this.showTime = Date.now();
         console.log(`MultiplayerMenu: Shown at ${this.showTime}, input will be enabled after ${this.showDelay}ms`);
     }
     
+    // Back to the main page too, so no page flag outlives the menu
     hide() {
+        this.showMainPage();
         this.menuGroup.visible = false;
         this.isVisible = false;
     }
     
     dispose() {
         // Clean up resources
-        for (const button of Object.values(this.buttons)) {
+        for (const button of [
+            ...Object.values(this.buttons),
+            ...Object.values(this.keypadButtons),
+            ...Object.values(this.lobbyButtons),
+            ...Object.values(this.seriesButtons),
+            ...Object.values(this.difficultyButtons),
+            ...Object.values(this.ladderButtons),
+            ...Object.values(this.rulesButtons),
+            ...Object.values(this.postGameButtons),
+            ...Object.values(this.pauseButtons)
+        ]) {
             button.children.forEach(child => {
                 if (child.geometry) child.geometry.dispose();
                 if (child.material) {
@@ -293,7 +1076,58 @@ export class MultiplayerMenu {
                 }
             });
         }
+        this.codeTexture.dispose();
+        this.lobbyTexture.dispose();
+        this.seriesHeader.texture.dispose();
+        this.difficultyHeader.texture.dispose();
+        this.ladderHeader.texture.dispose();
+        this.rulesHeader.texture.dispose();
+        this.postGamePanel.texture.dispose();
+        this.pausePanel.texture.dispose();
         
         this.scene.remove(this.menuGroup);
     }
 }
+
+// Canvas-textured plane for page headers and text blocks
+function createTextPanel(width, height, canvasWidth = 512, canvasHeight = 128) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvasWidth;
+    canvas.height = canvasHeight;
+    const context = canvas.getContext('2d');
+    const texture = new THREE.CanvasTexture(canvas);
+    const mesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(width, height),
+        new THREE.MeshBasicMaterial({ map: texture, transparent: true })
+    );
+    return { canvas, context, texture, mesh };
+}
+
+// Title plus a smaller line underneath, like the lobby header
+function drawHeader({ canvas, context, texture }, title, subtitle) {
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = '#ffffff';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.font = 'bold 56px Arial';
+    context.fillText(title, canvas.width / 2, 44);
+    context.font = 'bold 24px Arial';
+    context.fillText(subtitle, canvas.width / 2, 104);
+    texture.needsUpdate = true;
+}
+
+// e.g. "ABC123  ALICE  OPEN" or "XYZ789  BOB  PLAYING - 2 WATCHING"
+function formatRoomRow(room) {
+    let status = room.joinable ? 'OPEN' : room.inProgress ? 'PLAYING' : 'FULL';
+    if (room.spectators > 0) {
+        status += ` - ${room.spectators} WATCHING`;
+    }
+    return `${room.roomId}  ${(room.hostName || '').toUpperCase()}  ${status}`;
+}
+
+// The buttons of a page that are currently shown
+function visibleButtons(buttons) {
+    return Object.fromEntries(
+        Object.entries(buttons).filter(([, button]) => button.visible)
+    );
+}
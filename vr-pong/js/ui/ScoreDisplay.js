@@ -59,10 +59,11 @@ export class ScoreDisplay {
             this.context.shadowColor = '#4444ff';
             this.context.shadowBlur = 15;
             
-            // Draw the label above the score
+            // Draw the label above the score, squeezed to fit long player names
             this.context.fillText(this.label, 
                 this.canvas.width / 2, 
-                this.canvas.height / 5  
+                this.canvas.height / 5,
+                this.canvas.width - 40
             );
         }
         
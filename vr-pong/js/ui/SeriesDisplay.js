@@ -0,0 +1,81 @@
+import * as THREE from 'three';
+
+// Best-of-N standing for one side, under that side's ScoreDisplay: the
+// series length plus a pip per game needed, filled in for each game won.
+// Hidden for single games.
+export class SeriesDisplay {
+    constructor(scene, position, rotation) {
+        this.scene = scene;
+        this.length = 1;
+        this.wins = 0;
+
+        // Create canvas for the series texture
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 512;
+        this.canvas.height = 160;
+        this.context = this.canvas.getContext('2d');
+
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.material = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            transparent: true,
+            side: THREE.DoubleSide
+        });
+
+        this.geometry = new THREE.PlaneGeometry(1, 0.3125);
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+        this.mesh.position.copy(position);
+        this.mesh.rotation.copy(rotation);
+        this.mesh.visible = false;
+
+        this.scene.add(this.mesh);
+    }
+
+    updateSeries(length, wins) {
+        this.length = length;
+        this.wins = wins;
+        this.mesh.visible = length > 1;
+        if (this.mesh.visible) {
+            this.updateDisplay();
+        }
+    }
+
+    updateDisplay() {
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 48px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.shadowColor = '#4444ff';
+        ctx.shadowBlur = 15;
+        ctx.fillText(`BEST OF ${this.length}`, width / 2, 40);
+
+        // One pip per game needed to take the series
+        const needed = Math.floor(this.length / 2) + 1;
+        const spacing = 70;
+        const left = width / 2 - spacing * (needed - 1) / 2;
+        ctx.lineWidth = 6;
+        ctx.strokeStyle = '#ffffff';
+        for (let i = 0; i < needed; i++) {
+            ctx.beginPath();
+            ctx.arc(left + i * spacing, 115, 22, 0, Math.PI * 2);
+            if (i < this.wins) {
+                ctx.fill();
+            } else {
+                ctx.stroke();
+            }
+        }
+
+        this.texture.needsUpdate = true;
+    }
+
+    dispose() {
+        this.geometry.dispose();
+        this.material.dispose();
+        this.texture.dispose();
+        this.scene.remove(this.mesh);
+    }
+}
@@ -0,0 +1,62 @@
+import * as THREE from 'three';
+
+// Small "N WATCHING" sign under the timer, shown while a multiplayer room
+// has spectators
+export class SpectatorCount {
+    constructor(scene) {
+        this.scene = scene;
+        this.count = 0;
+
+        // Create canvas for the text texture
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 512;
+        this.canvas.height = 128;
+        this.context = this.canvas.getContext('2d');
+
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.material = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            transparent: true,
+            side: THREE.DoubleSide
+        });
+
+        this.geometry = new THREE.PlaneGeometry(0.6, 0.15);
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+
+        // Just below the timer
+        this.mesh.position.set(0, 1.9, -1.5);
+        this.mesh.visible = false;
+
+        this.scene.add(this.mesh);
+    }
+
+    updateCount(count) {
+        this.count = count;
+        this.mesh.visible = count > 0;
+        if (count > 0) {
+            this.updateDisplay();
+        }
+    }
+
+    updateDisplay() {
+        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        this.context.fillStyle = '#ffffff';
+        this.context.font = 'bold 56px Arial';
+        this.context.textAlign = 'center';
+        this.context.textBaseline = 'middle';
+        this.context.shadowColor = '#4444ff';
+        this.context.shadowBlur = 15;
+
+        this.context.fillText(`${this.count} WATCHING`, this.canvas.width / 2, this.canvas.height / 2);
+
+        this.texture.needsUpdate = true;
+    }
+
+    dispose() {
+        this.geometry.dispose();
+        this.material.dispose();
+        this.texture.dispose();
+        this.scene.remove(this.mesh);
+    }
+}
@@ -1,11 +1,14 @@
 import * as THREE from 'three';
 
+// Game clock above the table. A null duration (games played to points only)
+// hides it. Once the time is up on a tie it shows sudden death instead.
 export class Timer {
     constructor(scene, duration = 120) {
         this.scene = scene;
         this.duration = duration;
         this.timeLeft = duration;
         this.isRunning = false;
+        this.isOvertime = false;
 
         // Create canvas for the timer texture
         this.canvas = document.createElement('canvas');
@@ -37,19 +40,59 @@ export class Timer {
         this.updateDisplay();
     }
 
+    // Length of the next game in seconds, or null for no clock
+    setDuration(duration) {
+        this.duration = duration;
+        this.mesh.visible = duration !== null;
+        this.reset();
+    }
+
     start() {
-        this.isRunning = true;
+        this.isOvertime = false;
         this.timeLeft = this.duration;
+        this.isRunning = this.duration !== null;
         this.lastUpdate = performance.now();
+        this.updateDisplay();
     }
 
     stop() {
         this.isRunning = false;
     }
 
+    // Continue after stop() without resetting the remaining time
+    resume() {
+        if (this.timeLeft <= 0) return;
+        this.isRunning = true;
+        this.lastUpdate = performance.now();
+    }
+
     reset() {
         this.timeLeft = this.duration;
         this.isRunning = false;
+        this.isOvertime = false;
+        this.updateDisplay();
+    }
+
+    // Time played so far, in ms
+    getElapsedMs() {
+        return this.duration === null ? 0 : (this.duration - this.timeLeft) * 1000;
+    }
+
+    // Catch up with a game already in progress (e.g. after reconnecting)
+    setElapsedMs(elapsedMs) {
+        if (this.duration === null) return;
+        this.timeLeft = Math.max(0, this.duration - elapsedMs / 1000);
+        if (this.timeLeft === 0) {
+            this.isRunning = false;
+        }
+        this.updateDisplay();
+    }
+
+    // Tied when time ran out: the clock stays at zero until the next point
+    startOvertime() {
+        this.timeLeft = 0;
+        this.isRunning = false;
+        this.isOvertime = true;
         this.updateDisplay();
     }
 
@@ -85,6 +128,14 @@ export class Timer {
         this.context.textAlign = 'center';
         this.context.textBaseline = 'middle';
         
+        if (this.isOvertime) {
+            this.context.font = 'bold 110px Arial';
+            this.context.fillText('SUDDEN', this.canvas.width / 2, this.canvas.height / 2 - 65, this.canvas.width - 20);
+            this.context.fillText('DEATH', this.canvas.width / 2, this.canvas.height / 2 + 65, this.canvas.width - 20);
+            this.texture.needsUpdate = true;
+            return;
+        }
+        
         // Format time as MM:SS
         const minutes = Math.floor(this.timeLeft / 60);
         const seconds = Math.ceil(this.timeLeft % 60);
@@ -0,0 +1,19 @@
+// localStorage access that survives storage being disabled (e.g. private
+// browsing): reads give null and writes are dropped, so settings just don't
+// persist across reloads
+
+export function readStorage(key) {
+    try {
+        return window.localStorage.getItem(key);
+    } catch (e) {
+        return null;
+    }
+}
+
+export function writeStorage(key, value) {
+    try {
+        window.localStorage.setItem(key, value);
+    } catch (e) {
+        // Not persisted
+    }
+}
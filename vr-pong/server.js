@@ -1,69 +1,237 @@
 const express = require('express');
+const http = require('http');
 const https = require('https');
 const path = require('path');
-const selfsigned = require('selfsigned');
 const socketIo = require('socket.io');
+const { loadConfig } = require('./server/config');
+const { loadTlsCredentials } = require('./server/tls');
+const { RoomSimulation } = require('./server/RoomSimulation');
+const { PlayerRegistry } = require('./server/PlayerRegistry');
+const { MatchHistory } = require('./server/MatchHistory');
+const { Ratings } = require('./server/Ratings');
+const { Matchmaker } = require('./server/Matchmaker');
+const { createApiRouter } = require('./server/api');
+const { validatePayload, isKnownEvent } = require('./server/validation');
+const { RateLimiter, VERDICT } = require('./server/RateLimiter');
+
+// Listen address, TLS and public URL (see server/config.js)
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    console.error(`Invalid configuration: ${error.message}`);
+    process.exit(1);
+}
+
+// Ball/paddle physics, the game simulation and the match rules are ES
+// modules shared with the browser, so they are loaded asynchronously and the
+// server only starts listening once they are in
+let physics = null;
+let simulation = null;
+let matchRules = null;
+const sharedReady = Promise.all([
+    import('./js/shared/PongPhysics.mjs'),
+    import('./js/shared/PongSimulation.mjs'),
+    import('./js/shared/MatchRules.mjs')
+]).then(([physicsModule, simulationModule, rulesModule]) => {
+    physics = physicsModule;
+    simulation = simulationModule;
+    matchRules = rulesModule;
+});
 
 // Game rooms storage
 const gameRooms = {};
 
+// Persistent player identities (see server/PlayerRegistry.js)
+const players = new PlayerRegistry(path.join(config.dataDir, 'players.json'));
+
+// Finished matches (see server/MatchHistory.js and the /api/matches endpoints)
+const matches = new MatchHistory(path.join(config.dataDir, 'matches.jsonl'));
+
+// Elo ratings, replayed from the match history (see server/Ratings.js)
+const ratings = new Ratings(matches.matches);
+
+// Quick join queue; pairs players by rating and region (see server/Matchmaker.js)
+const matchmaker = new Matchmaker({
+    onMatch: startMatchedGame,
+    onStatus: (entry, status) => io.to(entry.socketId).emit('matchmakingStatus', status)
+});
+
+// How long a dropped player's seat (and the room's scores) is held for them
+const RECONNECT_GRACE_MS = config.reconnectGraceMs;
+
+// What each player may spend on pausing during one game. A pause that uses up
+// the time left resumes by itself; every resume counts down on all clients.
+const PAUSE_BUDGET = { pauses: 3, totalMs: 60000 };
+const RESUME_COUNTDOWN_MS = 3000;
+
+// Per-socket budgets for client events: sustained rate per second and burst.
+// Streams marked coalesce keep only their newest excess message (clients send
+// these every frame, up to 120 Hz on Quest); anything else over budget is
+// dropped and counts as a strike.
+const RATE_LIMITS = {
+    updatePaddlePosition: { rate: 60, burst: 10, coalesce: true },
+    updateControllerData: { rate: 30, burst: 10, coalesce: true },
+    setDisplayName: { rate: 1, burst: 3 },
+    listRooms: { rate: 2, burst: 5 },
+    default: { rate: 5, burst: 10 }
+};
+
+// Whole-socket ceiling, and how many strikes within the window get a socket
+// disconnected
+const FLOOD_PROTECTION = {
+    maxMessagesPerSecond: 300,
+    strikeLimit: 30,
+    strikeWindowMs: 10000
+};
+
+// Folders of static files the page loads; index.html comes from the catch-all
+const CLIENT_DIRS = ['js', 'textures'];
+
 const app = express();
-app.use(express.static('./'));
+app.use('/api', createApiRouter({ listRooms, matches, players, leaderboard, publicUrl: config.publicUrl }));
+
+// Only the client's own folders are served, never the working directory:
+// server code, config and state (player tokens, wherever dataDir points)
+// stay private
+for (const dir of CLIENT_DIRS) {
+    app.use(`/${dir}`, express.static(path.join(__dirname, dir)));
+}
 
 // Handle all routes by serving index.html
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-// Check if we're running on Render
-const isRender = process.env.RENDER === 'true';
-
 let server;
 
-if (isRender) {
-    // On Render.com - use HTTP
-    const PORT = process.env.PORT || 3000;
-    server = app.listen(PORT, () => {
-        console.log(`Server running on port ${PORT}`);
-    });
+if (config.protocol === 'http') {
+    // Plain HTTP, e.g. behind a proxy that terminates TLS (Render)
+    server = http.createServer(app);
 } else {
-    // Local development - use HTTPS
-    const attrs = [{ name: 'commonName', value: 'localhost' }];
-    const pems = selfsigned.generate(attrs, { days: 365 });
-
-    const options = {
-        key: pems.private,
-        cert: pems.cert
-    };
+    const tls = loadTlsCredentials(config);
+    server = https.createServer({ key: tls.key, cert: tls.cert }, app);
+}
 
-    const PORT = 8443;
-    server = https.createServer(options, app).listen(PORT, () => {
-        console.log(`Secure server running at https://localhost:${PORT}`);
-        console.log(`Access from Quest: https://[your-local-ip]:${PORT}`);
+sharedReady.then(() => server.listen(config.port, config.host || undefined, () => {
+    const { port } = server.address();
+    console.log(`Server running at ${config.protocol}://${config.host || 'localhost'}:${port}`);
+    if (config.publicUrl) {
+        console.log(`Clients connect to ${config.publicUrl}`);
+    }
+    if (config.protocol === 'https' && !config.tlsCert) {
+        console.log(`Access from Quest: https://[your-local-ip]:${port}`);
         console.log('Note: You will need to accept the self-signed certificate warning in your browser');
         console.log('To see the certificate warning:');
-        console.log('1. Open https://localhost:8443 in your browser');
+        console.log(`1. Open https://localhost:${port} in your browser`);
         console.log('2. You should see a warning about the certificate');
         console.log('3. Click "Advanced" and then "Proceed to localhost (unsafe)"');
         console.log('4. Once accepted in your browser, it should work in the Quest browser as well');
-    });
-}
+    }
+}));
 
 // Initialize Socket.io
 const io = socketIo(server);
 
+// Resolve the player identity sent in the handshake before anything else
+io.use((socket, next) => {
+    try {
+        socket.data.player = players.identify(socket.handshake.auth);
+    } catch (error) {
+        console.error(`Could not identify ${socket.id}:`, error.message);
+        next(new Error('Could not identify player'));
+        return;
+    }
+    next();
+});
+
 // Handle socket connections
 io.on('connection', (socket) => {
-    console.log(`User connected: ${socket.id}`);
+    const player = socket.data.player;
+    console.log(`User connected: ${socket.id} (${player.displayName}, ${player.id})`);
+    
+    // Hand the (possibly new) identity back for the client to store
+    socket.emit('playerIdentity', {
+        playerId: player.id,
+        playerToken: player.token,
+        displayName: player.displayName
+    });
+    socket.emit('leaderboardUpdated', { players: leaderboard() });
+    
+    // Flood protection runs before anything else looks at a message. Too
+    // many strikes (messages over budget or unknown) and the socket is cut off.
+    const rateLimiter = new RateLimiter(RATE_LIMITS, FLOOD_PROTECTION);
+    const addStrike = () => {
+        if (rateLimiter.addStrike()) {
+            console.warn(`Disconnecting ${socket.id} (player ${player.id}): too many messages over the rate limit`);
+            socket.disconnect(true);
+        }
+    };
+    socket.use(([event], next) => {
+        // Messages already buffered when we cut a flooding socket off
+        if (!socket.connected) return;
+        
+        // Events nobody handles are violations, and never get a bucket of
+        // their own in the limiter
+        if (!isKnownEvent(event)) {
+            reportViolation(socket, event, 'unknown event');
+            addStrike();
+            return;
+        }
+        
+        const verdict = rateLimiter.check(event);
+        if (verdict === VERDICT.ALLOW) {
+            next();
+        } else if (verdict === VERDICT.COALESCE) {
+            rateLimiter.defer(event, next);
+        } else {
+            addStrike();
+        }
+    });
+    
+    // Every client event goes through here: the payload must match its schema
+    // in server/validation.js, and the handler gets the sanitized copy
+    const handle = (event, handler) => {
+        socket.on(event, (payload) => {
+            const result = validatePayload(event, payload);
+            if (!result.valid) {
+                reportViolation(socket, event, result.error);
+                return;
+            }
+            handler(result.value);
+        });
+    };
+    
+    // A reload or reconnect within the grace period puts the player back in their seat
+    for (const roomId in gameRooms) {
+        const room = gameRooms[roomId];
+        const role = room.host === player.id ? 'host' : room.guest === player.id ? 'guest' : null;
+        if (role && room.pendingReconnect[role]) {
+            reclaimSeat(socket, roomId, role);
+            break;
+        }
+    }
+    
+    // Change the name shown to opponents
+    handle('setDisplayName', (data) => {
+        players.claim(player);
+        if (players.setDisplayName(player.id, data.displayName)) {
+            socket.emit('playerIdentity', {
+                playerId: player.id,
+                playerToken: player.token,
+                displayName: player.displayName
+            });
+        }
+    });
     
     // Host a new game
-    socket.on('hostGame', () => {
+    handle('hostGame', (data) => {
         // Check if already hosting a game
         let alreadyHosting = false;
         for (const roomId in gameRooms) {
-            if (gameRooms[roomId].host === socket.id) {
+            if (gameRooms[roomId].host === player.id) {
                 socket.emit('gameHosted', { roomId });
-                console.log(`Player ${socket.id} already hosting game: ${roomId}`);
+                console.log(`Player ${player.id} already hosting game: ${roomId}`);
                 alreadyHosting = true;
                 break;
             }
@@ -71,214 +239,818 @@ io.on('connection', (socket) => {
         
         if (alreadyHosting) return;
         
-        const roomId = generateRoomId();
-        
-        // Create a new game room
-        gameRooms[roomId] = {
-            host: socket.id,
-            guest: null,
-            gameData: {
-                ballPosition: { x: 0, y: 0.9, z: -1.0 },
-                hostPaddlePosition: { x: 0, y: 0.9, z: -0.1 },
-                guestPaddlePosition: { x: 0, y: 0.9, z: -1.9 },
-                hostScore: 0,
-                guestScore: 0,
-                isPlaying: false
-            }
-        };
+        // Taking a seat ends any spectating or searching
+        stopSpectating(socket);
+        leaveMatchmaking(socket);
         
-        // Join the room
-        socket.join(roomId);
-        socket.emit('gameHosted', { roomId });
+        const seriesLength = (data && data.seriesLength) || 1;
+        const roomId = createRoom(socket, seriesLength, data && data.rules);
+        const room = gameRooms[roomId];
+        socket.emit('gameHosted', { roomId, series: seriesState(room), rules: room.rules });
         
-        console.log(`Game hosted: ${roomId} by ${socket.id}`);
+        console.log(`Game hosted: ${roomId} by ${player.displayName} (${player.id}), best of ${seriesLength}, ${room.rules.id} rules`);
     });
     
-    // Join a game by quick matching
-    socket.on('quickJoin', () => {
-        // Check if already in a game as guest
+    // Join the matchmaking queue; startMatchedGame() seats both players
+    handle('quickJoin', (data) => {
         for (const roomId in gameRooms) {
-            if (gameRooms[roomId].guest === socket.id) {
-                console.log(`Player ${socket.id} already joined game: ${roomId}`);
-                socket.emit('playerJoined', {
-                    roomId,
-                    hostId: gameRooms[roomId].host,
-                    guestId: socket.id
-                });
-                return;
-            }
-            // Also check if already hosting (shouldn't try to join others then)
-            if (gameRooms[roomId].host === socket.id) {
-                console.log(`Player ${socket.id} trying to join but already hosting: ${roomId}`);
-                socket.emit('errorMessage', { message: 'You are already hosting a game' });
+            if (gameRooms[roomId].host === player.id || gameRooms[roomId].guest === player.id) {
+                console.log(`Player ${player.id} tried to queue while seated in room ${roomId}`);
+                socket.emit('errorMessage', { message: 'You are already in a game' });
                 return;
             }
         }
         
-        let joinedRoom = null;
+        const entry = {
+            playerId: player.id,
+            socketId: socket.id,
+            rating: ratings.getRating(player.id),
+            region: (data && data.region) || null
+        };
+        const estimatedWaitMs = matchmaker.enqueue(entry);
+        if (estimatedWaitMs === null) return; // Already searching
         
-        // Find an available room
-        for (const roomId in gameRooms) {
-            if (gameRooms[roomId].guest === null) {
-                gameRooms[roomId].guest = socket.id;
-                joinedRoom = roomId;
-                
-                // Join the room
-                socket.join(roomId);
-                
-                // Notify both players
-                io.to(roomId).emit('playerJoined', {
-                    roomId,
-                    hostId: gameRooms[roomId].host,
-                    guestId: socket.id
-                });
-                
-                console.log(`Player ${socket.id} joined game: ${roomId}`);
-                break;
+        stopSpectating(socket);
+        socket.emit('matchmakingQueued', { estimatedWaitMs, queueSize: matchmaker.queue.length });
+        console.log(`Player ${player.id} queued for a match (rating ${entry.rating}, region ${entry.region || 'none'})`);
+    });
+    
+    handle('cancelMatchmaking', () => {
+        leaveMatchmaking(socket);
+    });
+    
+    // Join a specific game by its room code
+    handle('joinRoom', (data) => {
+        const { roomId } = data;
+        const room = gameRooms[roomId];
+        
+        const rejectJoin = (reason, message) => {
+            console.log(`Player ${player.id} could not join room ${roomId}: ${reason}`);
+            socket.emit('joinRoomError', { roomId, reason, message });
+        };
+        
+        if (!room) {
+            return rejectJoin('notFound', `No game found with code ${roomId}`);
+        }
+        
+        // Rejoining a room we are already the guest of moves the seat to this socket
+        if (room.guest === player.id) {
+            if (room.pendingReconnect.guest) {
+                reclaimSeat(socket, roomId, 'guest');
+            } else {
+                joinAsGuest(socket, roomId);
             }
+            return;
         }
         
-        // If no room found
-        if (!joinedRoom) {
-            socket.emit('noGamesAvailable');
-            console.log(`No games available for player ${socket.id}`);
+        if (room.host === player.id) {
+            return rejectJoin('ownRoom', 'You are hosting this game');
         }
-    });
-    
-    // Update paddle position
-    socket.on('updatePaddlePosition', (data) => {
-        const { x, y, z, isHost } = data;
-        const position = { x, y, z };
         
-        // Find the room this socket is in
-        const roomId = [...socket.rooms].find(room => room !== socket.id && gameRooms[room]);
+        // The host dropped and may not come back; don't seat anyone until they do
+        if (room.pendingReconnect.host) {
+            return rejectJoin('hostAway', `The host of game ${roomId} has disconnected, try again shortly`);
+        }
         
-        if (roomId && gameRooms[roomId]) {
-            if (isHost) {
-                gameRooms[roomId].gameData.hostPaddlePosition = position;
-            } else {
-                gameRooms[roomId].gameData.guestPaddlePosition = position;
+        for (const otherRoomId in gameRooms) {
+            if (gameRooms[otherRoomId].host === player.id || gameRooms[otherRoomId].guest === player.id) {
+                return rejectJoin('alreadyInGame', 'You are already in another game');
             }
-            
-            // Broadcast to other player in the room
-            socket.to(roomId).emit('paddlePositionUpdated', {
-                x, y, z,
-                isHost
-            });
         }
-    });
-    
-    // Update ball position (only host sends this)
-    socket.on('updateBallPosition', (data) => {
-        const { roomId, position, velocity } = data;
         
-        if (gameRooms[roomId] && gameRooms[roomId].host === socket.id) {
-            gameRooms[roomId].gameData.ballPosition = position;
-            
-            // Broadcast to guest
-            socket.to(roomId).emit('ballPositionUpdated', {
-                position,
-                velocity
-            });
+        if (room.gameData.isPlaying) {
+            return rejectJoin('inProgress', `Game ${roomId} has already started`);
+        }
+        
+        if (room.guest !== null) {
+            return rejectJoin('full', `Game ${roomId} is full`);
         }
+        
+        joinAsGuest(socket, roomId);
     });
     
-    // Update score
-    socket.on('updateScore', (data) => {
-        const { roomId, hostScore, guestScore } = data;
-        
-        if (gameRooms[roomId]) {
-            gameRooms[roomId].gameData.hostScore = hostScore;
-            gameRooms[roomId].gameData.guestScore = guestScore;
-            
-            // Broadcast to all players
-            io.to(roomId).emit('scoreUpdated', {
-                hostScore,
-                guestScore
-            });
+    // Update paddle position (world frame, see flipTableSide in PongPhysics).
+    // Which paddle moves is decided by the seat this socket holds.
+    handle('updatePaddlePosition', (data) => {
+        const seat = findSeat(socket);
+        if (!seat) {
+            reportViolation(socket, 'updatePaddlePosition', 'not seated in any room');
+            return;
         }
+        
+        const { roomId, room, role } = seat;
+        const position = {
+            x: Math.max(-physics.PADDLE.maxX, Math.min(physics.PADDLE.maxX, data.x)),
+            y: data.y,
+            z: data.z
+        };
+        room.gameData[`${role}PaddlePosition`] = position;
+        
+        // Broadcast to the other player and any spectators
+        socket.to(roomId).emit('paddlePositionUpdated', {
+            ...position,
+            isHost: role === 'host'
+        });
     });
     
     // Start game
-    socket.on('startGame', (data) => {
+    handle('startGame', (data) => {
         const { roomId } = data;
         
         if (gameRooms[roomId]) {
-            // Only the host can start the game
-            if (gameRooms[roomId].host !== socket.id) {
-                console.log(`Non-host ${socket.id} attempted to start game in room ${roomId}`);
+            // Only the host's current connection can start the game
+            if (getSeatRole(gameRooms[roomId], socket) !== 'host') {
+                reportViolation(socket, 'startGame', `not the host of room ${roomId}`);
                 socket.emit('errorMessage', { message: 'Only the host can start the game' });
                 return;
             }
             
             // Cannot start without a guest
             if (gameRooms[roomId].guest === null) {
-                console.log(`Host ${socket.id} attempted to start game in room ${roomId} without a guest`);
+                console.log(`Host ${player.id} attempted to start game in room ${roomId} without a guest`);
                 socket.emit('errorMessage', { message: 'Cannot start game without an opponent' });
                 return;
             }
             
-            console.log(`Starting game in room ${roomId} by host ${socket.id} with guest ${gameRooms[roomId].guest}`);
-            gameRooms[roomId].gameData.isPlaying = true;
+            // Cannot start while the guest is reconnecting
+            if (gameRooms[roomId].pendingReconnect.guest) {
+                socket.emit('errorMessage', { message: 'Your opponent is reconnecting' });
+                return;
+            }
+            
+            // After a finished game both players have to agree to play again
+            if (gameRooms[roomId].lastResult) {
+                castRematchVote(roomId, 'host');
+                return;
+            }
             
-            // Broadcast to all players in the room
-            io.to(roomId).emit('gameStarted');
+            console.log(`Starting game in room ${roomId} by host ${player.id} with guest ${gameRooms[roomId].guest}`);
+            startRoomGame(roomId);
         } else {
             console.log(`Attempted to start game in non-existent room ${roomId}`);
             socket.emit('errorMessage', { message: 'Game room not found' });
         }
     });
     
+    // Vote to play again after a game has finished
+    handle('rematchVote', (data) => {
+        const { roomId } = data;
+        const role = gameRooms[roomId] ? getSeatRole(gameRooms[roomId], socket) : null;
+        if (!role) {
+            reportViolation(socket, 'rematchVote', `not seated in room ${roomId}`);
+            return;
+        }
+        if (!gameRooms[roomId].lastResult) {
+            socket.emit('errorMessage', { message: 'There is no finished game to replay' });
+            return;
+        }
+        castRematchVote(roomId, role);
+    });
+    
+    // Pause the game in play for both players, out of this player's budget
+    handle('pauseGame', (data) => {
+        const { roomId } = data;
+        const role = gameRooms[roomId] ? getSeatRole(gameRooms[roomId], socket) : null;
+        if (!role) {
+            reportViolation(socket, 'pauseGame', `not seated in room ${roomId}`);
+            return;
+        }
+        
+        const refusal = pauseRoomGame(roomId, role);
+        if (refusal) {
+            socket.emit('pauseRejected', { message: refusal });
+        }
+    });
+    
+    // Only the player who paused can resume early
+    handle('resumeGame', (data) => {
+        const { roomId } = data;
+        const room = gameRooms[roomId];
+        const role = room ? getSeatRole(room, socket) : null;
+        if (!role) {
+            reportViolation(socket, 'resumeGame', `not seated in room ${roomId}`);
+            return;
+        }
+        if (!room.pause) return;
+        if (room.pause.by !== role) {
+            socket.emit('pauseRejected', { message: 'Only the player who paused can resume' });
+            return;
+        }
+        resumeRoomGame(roomId);
+    });
+    
+    // Give up the seat for good (declining a rematch, or quitting mid-game)
+    handle('leaveRoom', (data) => {
+        const { roomId } = data;
+        const room = gameRooms[roomId];
+        const role = room ? getSeatRole(room, socket) : null;
+        if (!role) {
+            reportViolation(socket, 'leaveRoom', `not seated in room ${roomId}`);
+            return;
+        }
+        
+        endMatch(roomId, 'abandoned', role);
+        
+        // The leaver already knows; only the others hear about it
+        room.connections[role] = null;
+        socket.leave(roomId);
+        removeRoom(roomId, `${role} left`);
+    });
+    
     // Handle collision events
-    socket.on('collisionEvent', (data) => {
+    handle('collisionEvent', (data) => {
         const { roomId, type, position } = data;
         
-        if (gameRooms[roomId]) {
-            // Broadcast collision to other player
-            socket.to(roomId).emit('remoteCollision', {
-                type,
-                position
-            });
+        if (!gameRooms[roomId] || !getSeatRole(gameRooms[roomId], socket)) {
+            reportViolation(socket, 'collisionEvent', `not seated in room ${roomId}`);
+            return;
         }
+        
+        // Broadcast collision to other player
+        socket.to(roomId).emit('remoteCollision', {
+            type,
+            position
+        });
     });
     
     // Handle VR controller data
-    socket.on('updateControllerData', (data) => {
-        const { roomId, isHost, leftController, rightController } = data;
+    handle('updateControllerData', (data) => {
+        const { roomId, leftController, rightController } = data;
+        const room = gameRooms[roomId];
+        const role = room ? getSeatRole(room, socket) : null;
         
-        if (gameRooms[roomId]) {
-            // Broadcast controller data to the other player in the room
-            socket.to(roomId).emit('remoteControllerData', {
-                isHost,
-                leftController,
-                rightController
-            });
+        // Only seated players stream controllers; the seat decides which side they are
+        if (!role) {
+            reportViolation(socket, 'updateControllerData', `not seated in room ${roomId}`);
+            return;
         }
+        
+        // Broadcast controller data to the other player and any spectators
+        socket.to(roomId).emit('remoteControllerData', {
+            isHost: role === 'host',
+            leftController,
+            rightController
+        });
+    });
+    
+    // Open rooms for the lobby browser (same data as GET /api/rooms)
+    handle('listRooms', () => {
+        socket.emit('roomList', { rooms: listRooms() });
+    });
+    
+    // Watch a room by code without taking a seat
+    handle('spectateRoom', (data) => {
+        const { roomId } = data;
+        const room = gameRooms[roomId];
+        
+        if (!room) {
+            socket.emit('spectateError', { roomId, message: `No game found with code ${roomId}` });
+            return;
+        }
+        
+        if (room.host === player.id || room.guest === player.id) {
+            socket.emit('spectateError', { roomId, message: 'You are playing in this game' });
+            return;
+        }
+        
+        // Watching one room at a time, and not while searching for a match
+        stopSpectating(socket);
+        leaveMatchmaking(socket);
+        
+        room.spectators.add(socket.id);
+        socket.join(roomId);
+        
+        // Everything needed to draw the current state before the streams catch up
+        socket.emit('spectating', {
+            ...playerJoinedPayload(roomId),
+            hostScore: room.gameData.hostScore,
+            guestScore: room.gameData.guestScore,
+            hostPaddlePosition: room.gameData.hostPaddlePosition,
+            guestPaddlePosition: room.gameData.guestPaddlePosition,
+            isPlaying: room.gameData.isPlaying,
+            isPaused: room.gameData.isPaused,
+            pause: pauseState(room),
+            clock: matchClock(room)
+        });
+        emitSpectatorCount(roomId);
+        
+        console.log(`Player ${player.id} is spectating room ${roomId} (${room.spectators.size} watching)`);
+    });
+    
+    handle('stopSpectating', () => {
+        stopSpectating(socket);
     });
     
     // Handle disconnection
     socket.on('disconnect', () => {
         console.log(`User disconnected: ${socket.id}`);
         
-        // Find and clean up any rooms with this player
-        for (const roomId in gameRooms) {
-            if (gameRooms[roomId].host === socket.id || gameRooms[roomId].guest === socket.id) {
-                // Notify other player if exists
-                if (gameRooms[roomId].host === socket.id && gameRooms[roomId].guest) {
-                    io.to(gameRooms[roomId].guest).emit('opponentDisconnected');
-                } else if (gameRooms[roomId].guest === socket.id && gameRooms[roomId].host) {
-                    io.to(gameRooms[roomId].host).emit('opponentDisconnected');
-                }
-                
-                // Remove the room
-                delete gameRooms[roomId];
-                console.log(`Game room ${roomId} removed due to player disconnect`);
-                break;
-            }
+        rateLimiter.dispose();
+        leaveMatchmaking(socket);
+        
+        stopSpectating(socket);
+        
+        // Hold this player's seat for a while instead of tearing the room down.
+        // Only the seat's current connection counts: a stale socket dropping
+        // after its player already reconnected must not free the seat.
+        const seat = findSeat(socket);
+        if (seat) {
+            holdSeatForReconnect(seat.roomId, seat.role);
         }
     });
 });
 
+// Payload announcing both seats of a room, with display names
+function playerJoinedPayload(roomId) {
+    const room = gameRooms[roomId];
+    return {
+        roomId,
+        hostId: room.host,
+        guestId: room.guest,
+        hostName: players.getDisplayName(room.host),
+        guestName: players.getDisplayName(room.guest),
+        series: seriesState(room),
+        rules: room.rules
+    };
+}
+
+// How far the game in play has got, for clients joining it midway
+function matchClock(room) {
+    return room.simulation && room.gameData.isPlaying
+        ? room.simulation.getClock()
+        : { elapsedMs: 0, overtime: false, countdownMs: 0 };
+}
+
+// A player's pause as the clients see it, or null
+function pauseState(room) {
+    if (!room.pause) return null;
+    const { by } = room.pause;
+    return {
+        by,
+        name: players.getDisplayName(room[by]),
+        pausesLeft: room.pauseBudget[by].pausesLeft,
+        msLeft: room.pauseBudget[by].msLeft,
+        resuming: room.resumeTimeout !== null
+    };
+}
+
+// Freeze the game in play at a player's request. Returns why it can't be
+// paused, or null once it is.
+function pauseRoomGame(roomId, role) {
+    const room = gameRooms[roomId];
+    const budget = room.pauseBudget[role];
+    
+    if (!room.gameData.isPlaying) return 'There is no game to pause';
+    if (room.gameData.isPaused) return 'The game is already paused';
+    if (budget.pausesLeft <= 0 || budget.msLeft <= 0) return 'You have no pauses left this game';
+    
+    budget.pausesLeft--;
+    room.gameData.isPaused = true;
+    room.simulation.pause();
+    room.pause = {
+        by: role,
+        startedAt: Date.now(),
+        // Out of pause time: resume without waiting for the player
+        timeout: setTimeout(() => resumeRoomGame(roomId), budget.msLeft)
+    };
+    
+    io.to(roomId).emit('gamePaused', pauseState(room));
+    console.log(`${role} paused room ${roomId} (${budget.pausesLeft} pauses, ${budget.msLeft}ms left)`);
+    return null;
+}
+
+// Count everyone down, then put the paused game back in play: at the end
+// of a player's pause, or once both players are back after a dropped
+// connection
+function resumeRoomGame(roomId) {
+    const room = gameRooms[roomId];
+    if (!room || !room.gameData.isPaused || room.resumeTimeout !== null) return;
+    
+    if (room.pause) {
+        chargePause(room);
+    }
+    room.resumeTimeout = setTimeout(() => {
+        room.resumeTimeout = null;
+        room.pause = null;
+        room.gameData.isPaused = false;
+        room.simulation.resume();
+        io.to(roomId).emit('gameResumed');
+    }, RESUME_COUNTDOWN_MS);
+    
+    io.to(roomId).emit('gameResuming', { countdownMs: RESUME_COUNTDOWN_MS });
+}
+
+// Take the time paused so far out of the pauser's budget (once per pause;
+// the resume countdown is free)
+function chargePause(room) {
+    const { pause } = room;
+    if (pause.timeout === null) return;
+    
+    clearTimeout(pause.timeout);
+    pause.timeout = null;
+    const budget = room.pauseBudget[pause.by];
+    budget.msLeft = Math.max(0, budget.msLeft - (Date.now() - pause.startedAt));
+}
+
+// Drop a player's pause and any resume countdown without resuming: the
+// game ended or is restarting, or a dropped connection paused it instead
+function clearPause(room) {
+    clearTimeout(room.resumeTimeout);
+    room.resumeTimeout = null;
+    if (!room.pause) return;
+    
+    chargePause(room);
+    room.pause = null;
+}
+
+// Put a returning player back in their held seat: same room, role and score
+function reclaimSeat(socket, roomId, role) {
+    const room = gameRooms[roomId];
+    const otherRole = role === 'host' ? 'guest' : 'host';
+    
+    clearTimeout(room.pendingReconnect[role].timeout);
+    delete room.pendingReconnect[role];
+    room.connections[role] = socket.id;
+    socket.join(roomId);
+    
+    console.log(`Player ${room[role]} rejoined room ${roomId} as ${role}`);
+    
+    socket.emit('gameRejoined', {
+        ...playerJoinedPayload(roomId),
+        role,
+        hostScore: room.gameData.hostScore,
+        guestScore: room.gameData.guestScore,
+        isPlaying: room.gameData.isPlaying,
+        isPaused: room.gameData.isPaused,
+        clock: matchClock(room),
+        lastResult: room.lastResult,
+        rematchVotes: room.rematchVotes
+    });
+    
+    if (room.connections[otherRole]) {
+        io.to(room.connections[otherRole]).emit('opponentReconnected', { role });
+        
+        // Both players are back: count down and carry on where we left off
+        resumeRoomGame(roomId);
+    }
+}
+
+// The seat this socket currently holds in a room: 'host', 'guest' or null.
+// Roles always come from here, never from client payloads.
+function getSeatRole(room, socket) {
+    if (room.connections.host === socket.id) return 'host';
+    if (room.connections.guest === socket.id) return 'guest';
+    return null;
+}
+
+// The room and role of the seat this socket holds, if any
+function findSeat(socket) {
+    for (const roomId in gameRooms) {
+        const role = getSeatRole(gameRooms[roomId], socket);
+        if (role) {
+            return { roomId, room: gameRooms[roomId], role };
+        }
+    }
+    return null;
+}
+
+// Log an event that failed validation or authorization; the event is dropped
+function reportViolation(socket, event, reason) {
+    const player = socket.data.player;
+    console.warn(`Rejected ${event} from ${socket.id} (player ${player ? player.id : 'unknown'}): ${reason}`);
+}
+
+// Lobby summary of every room: joinable ones first, newest first
+function listRooms() {
+    return Object.entries(gameRooms)
+        .map(([roomId, room]) => ({
+            roomId,
+            hostName: players.getDisplayName(room.host),
+            joinable: room.guest === null && !room.gameData.isPlaying && !room.pendingReconnect.host,
+            inProgress: room.gameData.isPlaying,
+            spectators: room.spectators.size,
+            createdAt: room.createdAt
+        }))
+        .sort((a, b) => (b.joinable - a.joinable) || (b.createdAt - a.createdAt))
+        .map(({ createdAt, ...entry }) => entry);
+}
+
+// Remove a socket from whichever room it is watching
+function stopSpectating(socket) {
+    for (const roomId in gameRooms) {
+        if (gameRooms[roomId].spectators.delete(socket.id)) {
+            socket.leave(roomId);
+            emitSpectatorCount(roomId);
+            console.log(`Socket ${socket.id} stopped spectating room ${roomId}`);
+            return;
+        }
+    }
+}
+
+// Everyone in the room (players and spectators) sees how many are watching
+function emitSpectatorCount(roomId) {
+    io.to(roomId).emit('spectatorCountUpdated', { count: gameRooms[roomId].spectators.size });
+}
+
+// Pause the room and keep a disconnected player's seat for RECONNECT_GRACE_MS
+function holdSeatForReconnect(roomId, role) {
+    const room = gameRooms[roomId];
+    const otherRole = role === 'host' ? 'guest' : 'host';
+    room.connections[role] = null;
+    clearPause(room);
+    
+    if (room.gameData.isPlaying) {
+        room.gameData.isPaused = true;
+        if (room.simulation) {
+            room.simulation.pause();
+        }
+    }
+    
+    room.pendingReconnect[role] = {
+        expiresAt: Date.now() + RECONNECT_GRACE_MS,
+        timeout: setTimeout(() => {
+            endMatch(roomId, 'abandoned', role);
+            removeRoom(roomId, `${role} did not reconnect`);
+        }, RECONNECT_GRACE_MS)
+    };
+    
+    for (const socketId of [room.connections[otherRole], ...room.spectators]) {
+        if (socketId) {
+            io.to(socketId).emit('opponentConnectionLost', {
+                role,
+                graceMs: RECONNECT_GRACE_MS
+            });
+        }
+    }
+    
+    console.log(`Holding ${role} seat in room ${roomId} for ${RECONNECT_GRACE_MS}ms`);
+}
+
+// Reset the scores and put a new game in play (a first game, a restart or
+// a rematch)
+function startRoomGame(roomId) {
+    const room = gameRooms[roomId];
+    
+    // Starting over while playing ends the current match
+    endMatch(roomId, 'restarted');
+    
+    // A decided series starts again from 0-0
+    if (seriesState(room).winner) {
+        room.series = { length: room.series.length, hostWins: 0, guestWins: 0, gamesPlayed: 0 };
+    }
+    room.lastResult = null;
+    room.rematchVotes = { host: false, guest: false };
+    
+    room.match = { startedAt: Date.now() };
+    room.gameData.hostScore = 0;
+    room.gameData.guestScore = 0;
+    room.gameData.isPlaying = true;
+    room.gameData.isPaused = false;
+    
+    clearPause(room);
+    room.pauseBudget = newPauseBudget();
+    
+    // Broadcast to all players in the room
+    io.to(roomId).emit('gameStarted', { series: seriesState(room), rules: room.rules });
+    
+    // The server owns the ball (and decides the game) from here on
+    if (!room.simulation) {
+        room.simulation = new RoomSimulation(io, roomId, room, physics, simulation, {
+            onGameOver: (result) => finishGame(roomId, result)
+        });
+    }
+    room.simulation.start();
+}
+
+// The rules found a winner (see evaluateMatch): count the game toward the
+// series and open the rematch vote
+function finishGame(roomId, { winner, reason }) {
+    const room = gameRooms[roomId];
+    if (!room || !room.gameData.isPlaying) return;
+    
+    const { hostScore, guestScore } = room.gameData;
+    
+    room.gameData.isPlaying = false;
+    room.series.gamesPlayed++;
+    if (winner) {
+        room.series[`${winner}Wins`]++;
+    }
+    endMatch(roomId, 'completed');
+    
+    room.lastResult = { hostScore, guestScore, winner, reason };
+    room.rematchVotes = { host: false, guest: false };
+    
+    io.to(roomId).emit('gameOver', { ...room.lastResult, series: seriesState(room) });
+    console.log(`Game over in room ${roomId}: ${hostScore}-${guestScore} (${reason})`);
+}
+
+// Record a player's wish to play again; the next game starts once both want it
+function castRematchVote(roomId, role) {
+    const room = gameRooms[roomId];
+    if (room.gameData.isPlaying) return;
+    
+    room.rematchVotes[role] = true;
+    io.to(roomId).emit('rematchVoteUpdated', { votes: room.rematchVotes });
+    
+    const { host, guest } = room.rematchVotes;
+    if (host && guest && room.connections.host && room.connections.guest) {
+        console.log(`Rematch in room ${roomId}`);
+        startRoomGame(roomId);
+    }
+}
+
+// Series progress for the clients. winner is set once a side has won more
+// than half of the best-of-N.
+function seriesState(room) {
+    const { length, hostWins, guestWins, gamesPlayed } = room.series;
+    const needed = Math.floor(length / 2) + 1;
+    let winner = null;
+    if (length > 1 && hostWins >= needed) winner = 'host';
+    if (length > 1 && guestWins >= needed) winner = 'guest';
+    return { length, hostWins, guestWins, gamesPlayed, winner };
+}
+
+// Record the room's match, if one is being played. A player who abandons
+// the match loses it; otherwise the higher score wins (null for a draw).
+function endMatch(roomId, reason, abandonedBy = null) {
+    const room = gameRooms[roomId];
+    if (!room || !room.match) return null;
+    
+    const { hostScore, guestScore } = room.gameData;
+    let winner = hostScore > guestScore ? 'host' : guestScore > hostScore ? 'guest' : null;
+    if (abandonedBy) {
+        winner = abandonedBy === 'host' ? 'guest' : 'host';
+    }
+    
+    const stats = room.simulation ? room.simulation.stats : { rallies: 0, longestRally: 0 };
+    const endedAt = Date.now();
+    const match = {
+        roomId,
+        startedAt: room.match.startedAt,
+        endedAt,
+        durationMs: endedAt - room.match.startedAt,
+        host: { id: room.host, displayName: players.getDisplayName(room.host) },
+        guest: { id: room.guest, displayName: players.getDisplayName(room.guest) },
+        hostScore,
+        guestScore,
+        winner,
+        rallyCount: stats.rallies,
+        longestRally: stats.longestRally,
+        endReason: reason,
+        abandonedBy
+    };
+    match.ratings = ratings.apply(match);
+    const record = matches.record(match);
+    room.match = null;
+    
+    console.log(`Match in room ${roomId} recorded (${hostScore}-${guestScore}, ${reason})`);
+    if (match.ratings) {
+        io.emit('leaderboardUpdated', { players: leaderboard() });
+    }
+    return record;
+}
+
+// Top rated players with their current display names
+function leaderboard(limit = 10) {
+    return ratings.leaderboard(limit).map((entry) => ({
+        ...entry,
+        displayName: players.getDisplayName(entry.id)
+    }));
+}
+
+// Tear a room down for good, telling any player still connected
+function removeRoom(roomId, reason) {
+    const room = gameRooms[roomId];
+    if (!room) return;
+    
+    for (const role of ['host', 'guest']) {
+        if (room.pendingReconnect[role]) {
+            clearTimeout(room.pendingReconnect[role].timeout);
+        } else if (room.connections[role]) {
+            io.to(room.connections[role]).emit('opponentDisconnected');
+        }
+    }
+    for (const socketId of room.spectators) {
+        io.to(socketId).emit('spectatedGameEnded', { roomId });
+    }
+    io.socketsLeave(roomId);
+    
+    clearPause(room);
+    if (room.simulation) {
+        room.simulation.stop();
+    }
+    delete gameRooms[roomId];
+    console.log(`Game room ${roomId} removed: ${reason}`);
+}
+
+// Each player's pauses for a new game
+function newPauseBudget() {
+    const budget = () => ({ pausesLeft: PAUSE_BUDGET.pauses, msLeft: PAUSE_BUDGET.totalMs });
+    return { host: budget(), guest: budget() };
+}
+
+// Seat a socket as the guest of a room and notify both players
+function joinAsGuest(socket, roomId) {
+    const player = socket.data.player;
+    players.claim(player);
+    stopSpectating(socket);
+    leaveMatchmaking(socket);
+    
+    // The seat moves here from any other socket of the same player
+    const previous = io.sockets.sockets.get(gameRooms[roomId].connections.guest);
+    if (previous && previous !== socket) {
+        previous.leave(roomId);
+    }
+    gameRooms[roomId].guest = player.id;
+    gameRooms[roomId].connections.guest = socket.id;
+    socket.join(roomId);
+    
+    io.to(roomId).emit('playerJoined', playerJoinedPayload(roomId));
+    
+    console.log(`Player ${player.displayName} (${player.id}) joined game: ${roomId}`);
+}
+
+// Open a new room with the socket's player in the host seat. seriesLength
+// is the best-of-N the host picked (1 for a single game), rulesId one of
+// the RULE_PRESETS in js/shared/MatchRules.mjs (the default if unknown).
+function createRoom(socket, seriesLength = 1, rulesId = matchRules.DEFAULT_RULES) {
+    const player = socket.data.player;
+    players.claim(player);
+    const roomId = generateRoomId();
+    
+    gameRooms[roomId] = {
+        // Seats hold player IDs; connections hold each seat's current socket
+        host: player.id,
+        guest: null,
+        connections: { host: socket.id, guest: null },
+        createdAt: Date.now(),
+        gameData: {
+            ballPosition: { x: 0, y: 0.9, z: -1.0 },
+            hostPaddlePosition: { x: 0, y: 0.9, z: -0.1 },
+            guestPaddlePosition: { x: 0, y: 0.9, z: -1.9 },
+            hostScore: 0,
+            guestScore: 0,
+            isPlaying: false,
+            isPaused: false
+        },
+        simulation: null,
+        // The match being played: { startedAt }; recorded by endMatch()
+        match: null,
+        // When each game ends; see js/shared/MatchRules.mjs
+        rules: matchRules.getRules(rulesId),
+        // Best-of-N games in this room; see seriesState()
+        series: { length: seriesLength, hostWins: 0, guestWins: 0, gamesPlayed: 0 },
+        // Outcome of the last finished game, until the next one starts
+        lastResult: null,
+        rematchVotes: { host: false, guest: false },
+        // Seats held for a disconnected player: role -> { timeout, expiresAt }
+        pendingReconnect: {},
+        // A player's pause: { by, startedAt, timeout }; see pauseRoomGame()
+        pause: null,
+        // Counting down out of a pause; see resumeRoomGame()
+        resumeTimeout: null,
+        pauseBudget: newPauseBudget(),
+        // Socket IDs watching without a seat
+        spectators: new Set()
+    };
+    socket.join(roomId);
+    
+    return roomId;
+}
+
+// The matchmaker paired two waiting players: seat them in a fresh room
+function startMatchedGame(host, guest) {
+    const hostSocket = io.sockets.sockets.get(host.socketId);
+    const guestSocket = io.sockets.sockets.get(guest.socketId);
+    
+    // Disconnects leave the queue straight away, so this is only a safety net
+    if (!hostSocket || !guestSocket) {
+        for (const [entry, socket] of [[host, hostSocket], [guest, guestSocket]]) {
+            if (socket) matchmaker.enqueue(entry);
+        }
+        return;
+    }
+    
+    const roomId = createRoom(hostSocket);
+    for (const [socket, entry, role] of [[hostSocket, host, 'host'], [guestSocket, guest, 'guest']]) {
+        socket.emit('matchFound', { roomId, role, waitedMs: Date.now() - entry.joinedAt });
+    }
+    joinAsGuest(guestSocket, roomId);
+    
+    console.log(`Matched ${host.playerId} (${host.rating}) with ${guest.playerId} (${guest.rating}) in room ${roomId}`);
+}
+
+// Take the socket's player out of the matchmaking queue, if they are in it.
+// Only the socket that queued counts; another tab of the same player can't.
+function leaveMatchmaking(socket) {
+    const player = socket.data.player;
+    const queued = matchmaker.queue.find((entry) => entry.playerId === player.id);
+    if (queued && queued.socketId === socket.id && matchmaker.remove(player.id)) {
+        socket.emit('matchmakingCancelled');
+        console.log(`Player ${player.id} left the matchmaking queue`);
+    }
+}
+
 // Generate a random room ID
 function generateRoomId() {
     return Math.random().toString(36).substring(2, 8).toUpperCase();
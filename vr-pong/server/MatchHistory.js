@@ -0,0 +1,70 @@
+// Completed multiplayer matches, one JSON object per line in a file under the
+// data directory. Lines are only ever appended, so a crash can at worst lose
+// the match being written; the whole history is kept in memory for the API.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_PAGE_SIZE = 100;
+
+class MatchHistory {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.matches = []; // Oldest first, like the file
+        this.load();
+    }
+
+    load() {
+        let text;
+        try {
+            text = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Could not read match history from ${this.filePath}:`, error.message);
+            }
+            return;
+        }
+
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                this.matches.push(JSON.parse(line));
+            } catch (error) {
+                // A line cut short by a crash; skip it rather than lose the rest
+                console.error(`Skipping unreadable match record in ${this.filePath}`);
+            }
+        }
+        console.log(`Loaded ${this.matches.length} matches`);
+    }
+
+    // Store a finished match and return the saved record
+    record(match) {
+        const record = { id: crypto.randomUUID(), ...match };
+        this.matches.push(record);
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+        } catch (error) {
+            console.error(`Could not save match to ${this.filePath}:`, error.message);
+        }
+        return record;
+    }
+
+    // Newest first. Returns { matches, total } for paging.
+    list({ playerId = null, limit = 20, offset = 0 } = {}) {
+        const matches = playerId
+            ? this.matches.filter((match) => match.host.id === playerId || match.guest.id === playerId)
+            : this.matches;
+
+        limit = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+        offset = Math.max(offset, 0);
+        const end = matches.length - offset;
+        return {
+            matches: matches.slice(Math.max(end - limit, 0), Math.max(end, 0)).reverse(),
+            total: matches.length
+        };
+    }
+}
+
+module.exports = { MatchHistory };
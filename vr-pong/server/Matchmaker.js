@@ -0,0 +1,175 @@
+// Matchmaking queue behind quick join. Waiting players are paired by rating
+// and region: at first only close ratings in the same region match, and the
+// allowed rating gap widens the longer both players have waited. After a
+// while any region will do. server.js creates the room for each pair.
+
+const DEFAULTS = {
+    initialGap: 100,            // Rating difference allowed straight away
+    gapGrowthPerSecond: 20,     // How fast the allowed difference widens
+    maxGap: 600,
+    regionRelaxMs: 30000,       // After this, players in other regions are fair game
+    tickMs: 1000,
+    defaultWaitMs: 30000        // Estimate when nobody compatible is waiting
+};
+
+const RECENT_WAITS = 20; // Matched waits kept for estimates
+
+class Matchmaker {
+    // onMatch(host, guest) gets the two queue entries; onStatus(entry, status)
+    // is called every tick for each player still waiting. now() is the clock
+    // in ms, Date.now unless a test brings its own.
+    constructor({ onMatch, onStatus, now = Date.now, ...options } = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.onMatch = onMatch;
+        this.onStatus = onStatus;
+        this.now = now;
+        this.queue = [];        // Entries, oldest first
+        this.recentWaits = [];
+        this.interval = null;
+    }
+
+    // entry: { playerId, socketId, rating, region }. Returns the estimated
+    // wait in ms, or null when the player is already queued.
+    enqueue(entry, now = this.now()) {
+        if (this.has(entry.playerId)) return null;
+
+        const queued = { ...entry, joinedAt: now };
+        this.queue.push(queued);
+        this.start();
+        return this.estimateWait(queued, now);
+    }
+
+    // Returns true when the player was waiting
+    remove(playerId) {
+        const index = this.queue.findIndex((entry) => entry.playerId === playerId);
+        if (index === -1) return false;
+        this.queue.splice(index, 1);
+        if (this.queue.length === 0) this.stop();
+        return true;
+    }
+
+    has(playerId) {
+        return this.queue.some((entry) => entry.playerId === playerId);
+    }
+
+    start() {
+        if (this.interval) return;
+        this.interval = setInterval(() => this.tick(), this.options.tickMs);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    allowedGap(entry, now) {
+        const { initialGap, gapGrowthPerSecond, maxGap } = this.options;
+        return Math.min(maxGap, initialGap + gapGrowthPerSecond * (now - entry.joinedAt) / 1000);
+    }
+
+    canMatch(a, b, now) {
+        const gap = Math.abs(a.rating - b.rating);
+        if (gap > Math.min(this.allowedGap(a, now), this.allowedGap(b, now))) return false;
+
+        const { regionRelaxMs } = this.options;
+        return a.region === b.region
+            || (now - a.joinedAt >= regionRelaxMs && now - b.joinedAt >= regionRelaxMs);
+    }
+
+    // Pair everyone who can be paired, longest waiting first, each with the
+    // closest rating available
+    tick(now = this.now()) {
+        const matched = new Set();
+        const pairs = [];
+        for (const entry of this.queue) {
+            if (matched.has(entry)) continue;
+
+            let best = null;
+            for (const other of this.queue) {
+                if (other === entry || matched.has(other) || !this.canMatch(entry, other, now)) continue;
+                if (!best || Math.abs(other.rating - entry.rating) < Math.abs(best.rating - entry.rating)) {
+                    best = other;
+                }
+            }
+            if (best) {
+                matched.add(entry);
+                matched.add(best);
+                pairs.push([entry, best]);
+            }
+        }
+
+        // Matched entries leave the queue before anyone hears about it
+        this.queue = this.queue.filter((entry) => !matched.has(entry));
+
+        for (const [host, guest] of pairs) {
+            this.recordWait(now - host.joinedAt);
+            this.recordWait(now - guest.joinedAt);
+            // Whoever queued first hosts
+            this.onMatch(host, guest);
+        }
+
+        if (this.queue.length === 0) {
+            this.stop();
+            return;
+        }
+        if (this.onStatus) {
+            for (const entry of this.queue) {
+                this.onStatus(entry, this.status(entry, now));
+            }
+        }
+    }
+
+    status(entry, now = this.now()) {
+        return {
+            waitedMs: now - entry.joinedAt,
+            estimatedWaitMs: this.estimateWait(entry, now),
+            ratingGap: Math.round(this.allowedGap(entry, now)),
+            queueSize: this.queue.length
+        };
+    }
+
+    // Time until the soonest waiting player becomes a valid opponent; with
+    // nobody suitable waiting, how long recent players took to be matched
+    estimateWait(entry, now = this.now()) {
+        const { initialGap, gapGrowthPerSecond, maxGap, regionRelaxMs } = this.options;
+        let soonest = Infinity;
+
+        for (const other of this.queue) {
+            if (other === entry) continue;
+            const gap = Math.abs(other.rating - entry.rating);
+            if (gap > maxGap) continue;
+
+            // Both gaps grow at the same rate, so the newer player's is the limit
+            const waited = Math.min(now - entry.joinedAt, now - other.joinedAt);
+            let wait = Math.max(0, (gap - initialGap) / gapGrowthPerSecond * 1000 - waited);
+            if (other.region !== entry.region) {
+                wait = Math.max(wait, regionRelaxMs - waited);
+            }
+            soonest = Math.min(soonest, wait);
+        }
+
+        if (soonest !== Infinity) {
+            // Pairing happens on the next tick at the earliest
+            return Math.round(Math.max(soonest, 0)) + this.options.tickMs;
+        }
+
+        const waited = now - entry.joinedAt;
+        const typical = this.recentWaits.length
+            ? this.recentWaits.reduce((sum, wait) => sum + wait, 0) / this.recentWaits.length
+            : this.options.defaultWaitMs;
+        // Past the typical wait already: expect about another one
+        const remaining = typical > waited ? typical - waited : typical;
+        return Math.round(Math.max(remaining, this.options.tickMs));
+    }
+
+    recordWait(ms) {
+        this.recentWaits.push(ms);
+        if (this.recentWaits.length > RECENT_WAITS) {
+            this.recentWaits.shift();
+        }
+    }
+}
+
+module.exports = { Matchmaker };
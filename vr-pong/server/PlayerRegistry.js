@@ -0,0 +1,118 @@
+// Persistent player identities. The server issues each new browser a player ID
+// plus a secret token; MultiplayerManager keeps both in localStorage and sends
+// them in the Socket.IO handshake, so a page reload or a new socket is still
+// the same player. Identities are saved to a JSON file so they survive restarts,
+// once claimed: a new identity is only kept when its player names themselves
+// or takes a seat, so clients that connect and leave add nothing to the file.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_NAME_LENGTH = 20;
+const SAVE_DELAY = 1000; // Batch writes (ms)
+
+class PlayerRegistry {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.players = new Map(); // playerId -> player; ids come from clients, so never a plain object
+        this.saveTimeout = null;
+        this.load();
+    }
+
+    load() {
+        try {
+            this.players = new Map(Object.entries(JSON.parse(fs.readFileSync(this.filePath, 'utf8'))));
+            console.log(`Loaded ${this.players.size} player identities`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Could not read player identities from ${this.filePath}:`, error.message);
+            }
+            this.players = new Map();
+        }
+    }
+
+    save() {
+        if (this.saveTimeout) return;
+
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            try {
+                fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+                fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.players), null, 2));
+            } catch (error) {
+                console.error(`Could not save player identities to ${this.filePath}:`, error.message);
+            }
+        }, SAVE_DELAY);
+    }
+
+    // Resolve handshake credentials to a player, issuing a new identity when
+    // the ID is unknown or the token does not match. New identities are not
+    // stored until claim().
+    identify(credentials) {
+        const { playerId, playerToken, displayName } = credentials || {};
+        let player = this.get(playerId);
+
+        if (!player || !tokensMatch(player.token, playerToken)) {
+            player = {
+                id: crypto.randomUUID(),
+                token: crypto.randomBytes(24).toString('hex'),
+                displayName: null,
+                createdAt: Date.now()
+            };
+        }
+
+        player.displayName = sanitizeDisplayName(displayName) || player.displayName || defaultDisplayName(player.id);
+        player.lastSeen = Date.now();
+        if (this.players.has(player.id)) {
+            this.save();
+        }
+        return player;
+    }
+
+    // Keep an identity from identify() from now on
+    claim(player) {
+        if (this.players.has(player.id)) return;
+        this.players.set(player.id, player);
+        this.save();
+    }
+
+    setDisplayName(playerId, displayName) {
+        const player = this.get(playerId);
+        const name = sanitizeDisplayName(displayName);
+        if (!player || !name) return null;
+
+        player.displayName = name;
+        this.save();
+        return player;
+    }
+
+    get(playerId) {
+        return (typeof playerId === 'string' && this.players.get(playerId)) || null;
+    }
+
+    getDisplayName(playerId) {
+        const player = this.get(playerId);
+        return player ? player.displayName : null;
+    }
+}
+
+function tokensMatch(expected, actual) {
+    if (typeof expected !== 'string' || typeof actual !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(actual);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function sanitizeDisplayName(name) {
+    if (typeof name !== 'string') return null;
+    // Strip control characters and collapse whitespace
+    const cleaned = name.replace(/[\u0000-\u001f\u007f]/g, '').replace(/\s+/g, ' ').trim();
+    return cleaned ? cleaned.slice(0, MAX_NAME_LENGTH) : null;
+}
+
+function defaultDisplayName(playerId) {
+    return `Player-${playerId.slice(0, 4).toUpperCase()}`;
+}
+
+module.exports = { PlayerRegistry, sanitizeDisplayName };
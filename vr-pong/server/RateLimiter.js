@@ -0,0 +1,109 @@
+// Per-socket flood protection. Each event gets a token bucket (a sustained
+// rate per second plus a burst allowance). Streams such as paddle positions
+// are coalesced when over budget: only the newest message is kept and it is
+// delivered as soon as the bucket allows. Other events over budget are
+// dropped and earn the socket a strike; too many strikes and server.js
+// disconnects it. Budgets are configured in server.js (RATE_LIMITS).
+
+const VERDICT = {
+    ALLOW: 'allow',
+    COALESCE: 'coalesce',
+    DROP: 'drop'
+};
+
+class RateLimiter {
+    constructor(limits, { maxMessagesPerSecond, strikeLimit, strikeWindowMs }) {
+        this.limits = limits;
+        this.maxMessagesPerSecond = maxMessagesPerSecond;
+        this.strikeLimit = strikeLimit;
+        this.strikeWindowMs = strikeWindowMs;
+
+        this.buckets = new Map();   // event -> { tokens, updatedAt }
+        this.deferred = new Map();  // event -> { deliver, timeout } for coalesced streams
+        this.strikes = [];      // Timestamps of recent strikes
+        this.windowStart = 0;   // Start of the current one second message window
+        this.windowCount = 0;
+    }
+
+    // Event names come from clients: only the limits' own entries count
+    getLimit(event) {
+        return Object.prototype.hasOwnProperty.call(this.limits, event) ? this.limits[event] : this.limits.default;
+    }
+
+    // Refill and return the bucket for an event
+    getBucket(event, now) {
+        const { rate, burst } = this.getLimit(event);
+        let bucket = this.buckets.get(event);
+        if (!bucket) {
+            bucket = { tokens: burst, updatedAt: now };
+            this.buckets.set(event, bucket);
+        }
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * rate);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    // Decide what to do with one incoming message
+    check(event, now = Date.now()) {
+        // Whole-socket ceiling, whatever the events are
+        if (now - this.windowStart >= 1000) {
+            this.windowStart = now;
+            this.windowCount = 0;
+        }
+        this.windowCount++;
+        if (this.windowCount > this.maxMessagesPerSecond) {
+            return VERDICT.DROP;
+        }
+
+        const bucket = this.getBucket(event, now);
+
+        // Older deferred messages go first, so a fresh token can't overtake them
+        if (bucket.tokens >= 1 && !this.deferred.has(event)) {
+            bucket.tokens -= 1;
+            return VERDICT.ALLOW;
+        }
+        return this.getLimit(event).coalesce ? VERDICT.COALESCE : VERDICT.DROP;
+    }
+
+    // Hold the newest over-budget message of a stream; any message it replaces
+    // is dropped. deliver() runs once the bucket has a token again.
+    defer(event, deliver) {
+        const pending = this.deferred.get(event);
+        if (pending) {
+            pending.deliver = deliver;
+            return;
+        }
+
+        const { rate } = this.getLimit(event);
+        const bucket = this.getBucket(event, Date.now());
+        const wait = Math.max(0, Math.ceil((1 - bucket.tokens) / rate * 1000));
+
+        this.deferred.set(event, {
+            deliver,
+            timeout: setTimeout(() => {
+                const { deliver: latest } = this.deferred.get(event);
+                this.deferred.delete(event);
+                this.getBucket(event, Date.now()).tokens -= 1;
+                latest();
+            }, wait)
+        });
+    }
+
+    // Record a strike; returns true once the socket has too many recent ones
+    addStrike(now = Date.now()) {
+        this.strikes.push(now);
+        while (this.strikes.length && now - this.strikes[0] > this.strikeWindowMs) {
+            this.strikes.shift();
+        }
+        return this.strikes.length >= this.strikeLimit;
+    }
+
+    dispose() {
+        for (const { timeout } of this.deferred.values()) {
+            clearTimeout(timeout);
+        }
+        this.deferred.clear();
+    }
+}
+
+module.exports = { RateLimiter, VERDICT };
@@ -0,0 +1,80 @@
+// Elo ratings per player identity. Ratings are not stored separately: they
+// are replayed from the match history on startup, so they survive restarts
+// and always agree with the recorded matches.
+
+const INITIAL_RATING = 1000;
+const K_FACTOR = 32;
+const PROVISIONAL_GAMES = 10;     // New players move faster until their rating settles
+const PROVISIONAL_K_FACTOR = 48;
+
+// Matches that say something about skill: forfeits, and anything in which a
+// point was played. A restart at 0-0 isn't a result.
+function isRated(match) {
+    if (!match.host.id || !match.guest.id) return false;
+    return Boolean(match.abandonedBy) || match.hostScore + match.guestScore > 0;
+}
+
+class Ratings {
+    constructor(matches) {
+        this.players = {}; // playerId -> { rating, wins, losses, draws }
+        for (const match of matches) {
+            this.apply(match);
+        }
+    }
+
+    get(playerId) {
+        if (!this.players[playerId]) {
+            this.players[playerId] = { rating: INITIAL_RATING, wins: 0, losses: 0, draws: 0 };
+        }
+        return this.players[playerId];
+    }
+
+    getRating(playerId) {
+        return this.players[playerId] ? this.players[playerId].rating : INITIAL_RATING;
+    }
+
+    // Update both players for a finished match. Returns each seat's rating
+    // before and after, or null when the match isn't rated.
+    apply(match) {
+        if (!isRated(match)) return null;
+
+        const host = this.get(match.host.id);
+        const guest = this.get(match.guest.id);
+        const hostResult = match.winner === 'host' ? 1 : match.winner === 'guest' ? 0 : 0.5;
+
+        const expected = 1 / (1 + 10 ** ((guest.rating - host.rating) / 400));
+        const hostChange = Math.round(kFactor(host) * (hostResult - expected));
+        const guestChange = Math.round(kFactor(guest) * (expected - hostResult));
+
+        const changes = {
+            host: { before: host.rating, after: host.rating + hostChange },
+            guest: { before: guest.rating, after: guest.rating + guestChange }
+        };
+        host.rating += hostChange;
+        guest.rating += guestChange;
+
+        if (hostResult === 0.5) {
+            host.draws++;
+            guest.draws++;
+        } else {
+            (hostResult === 1 ? host : guest).wins++;
+            (hostResult === 1 ? guest : host).losses++;
+        }
+        return changes;
+    }
+
+    // Highest rated first; names are looked up by the caller
+    leaderboard(limit = 10) {
+        return Object.entries(this.players)
+            .map(([id, stats]) => ({ id, ...stats, games: stats.wins + stats.losses + stats.draws }))
+            .sort((a, b) => b.rating - a.rating || b.games - a.games)
+            .slice(0, limit)
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+}
+
+function kFactor(stats) {
+    return stats.wins + stats.losses + stats.draws < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+}
+
+module.exports = { Ratings, INITIAL_RATING };
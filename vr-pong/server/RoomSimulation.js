@@ -0,0 +1,131 @@
+// Authoritative game for one multiplayer room. The server steps the shared
+// PongSimulation (js/shared/PongSimulation.mjs) at the fixed tick of
+// PongPhysics (TICK_RATE) and broadcasts what happens, so neither client's
+// frame rate (or honesty) decides where the ball goes, who scores or when
+// the game is over under the room's rules.
+
+class RoomSimulation {
+    // physics and simulation are the PongPhysics and PongSimulation modules;
+    // the rules are room.rules. onGameOver(result) runs once
+    // evaluateMatch() finds a winner.
+    constructor(io, roomId, room, physics, simulation, { onGameOver } = {}) {
+        this.io = io;
+        this.roomId = roomId;
+        this.room = room;
+        this.physics = physics;
+        this.simulation = simulation;
+        this.game = new simulation.PongSimulation({ rules: room.rules });
+        this.onGameOver = onGameOver;
+        this.interval = null;
+    }
+
+    get ball() {
+        return this.game.ball;
+    }
+
+    // Rally numbers for the match record (see MatchHistory)
+    get stats() {
+        return this.game.stats;
+    }
+
+    start() {
+        this.stop();
+        this.game.reset(this.room.rules);
+        this.run();
+        console.log(`Simulation started for room ${this.roomId} at ${this.physics.TICK_RATE} Hz`);
+    }
+
+    run() {
+        this.interval = setInterval(() => this.tick(), 1000 / this.physics.TICK_RATE);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    // Freeze the game where it is, e.g. while a player reconnects. A serve
+    // that was due waits too.
+    pause() {
+        this.stop();
+    }
+
+    resume() {
+        if (this.isRunning() || this.game.isOver) return;
+        this.run();
+    }
+
+    isRunning() {
+        return this.interval !== null;
+    }
+
+    tick() {
+        const { game } = this;
+        const { SIM_EVENT } = this.simulation;
+        const gameData = this.room.gameData;
+
+        // Paddle z is fixed by role; only x and y come from the clients
+        game.setPaddle('host', gameData.hostPaddlePosition.x, gameData.hostPaddlePosition.y);
+        game.setPaddle('guest', gameData.guestPaddlePosition.x, gameData.guestPaddlePosition.y);
+
+        const events = game.step();
+
+        for (const event of events) {
+            if (event.type === SIM_EVENT.HIT) {
+                this.io.to(this.roomId).emit('remoteCollision', {
+                    type: 'paddle',
+                    side: event.side,
+                    // Where the ball touched the paddle, not where the step ended
+                    position: { ...event.contact.point }
+                });
+            } else if (event.type === SIM_EVENT.POINT) {
+                this.scorePoint(event);
+            } else if (event.type === SIM_EVENT.OVERTIME) {
+                console.log(`Room ${this.roomId}: tied at time, sudden death`);
+                this.io.to(this.roomId).emit('overtimeStarted');
+            } else if (event.type === SIM_EVENT.GAME_OVER) {
+                this.stop();
+                if (this.onGameOver) this.onGameOver(event.result);
+                return;
+            }
+        }
+
+        // Nothing moves during the countdown (the clients show the same one)
+        if (!game.started) return;
+
+        gameData.ballPosition = { ...game.ball.position };
+
+        this.io.to(this.roomId).emit('ballPositionUpdated', {
+            position: game.ball.position,
+            velocity: game.ball.velocity
+        });
+    }
+
+    scorePoint({ side, score }) {
+        const gameData = this.room.gameData;
+        gameData.hostScore = score.host;
+        gameData.guestScore = score.guest;
+
+        console.log(`Room ${this.roomId}: point to ${side} (${gameData.hostScore}-${gameData.guestScore})`);
+
+        // The ball is back in the center; the simulation serves again shortly
+        this.io.to(this.roomId).emit('remoteCollision', {
+            type: 'goal',
+            side,
+            position: { ...this.game.ball.position }
+        });
+        this.io.to(this.roomId).emit('scoreUpdated', {
+            hostScore: gameData.hostScore,
+            guestScore: gameData.guestScore
+        });
+    }
+
+    // Game clock for clients joining mid-game
+    getClock() {
+        return this.game.getClock();
+    }
+}
+
+module.exports = { RoomSimulation };
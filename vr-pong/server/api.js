@@ -0,0 +1,58 @@
+// JSON endpoints under /api. Mounted before the static files and the
+// index.html catch-all, so unknown /api paths get a JSON 404 instead of
+// the game page.
+
+const express = require('express');
+
+function createApiRouter({ listRooms, matches, players, leaderboard, publicUrl }) {
+    const router = express.Router();
+
+    // Where the page should open its socket. null means the page's own origin,
+    // which is right unless the socket server lives somewhere else.
+    router.get('/config', (req, res) => {
+        res.json({ socketUrl: publicUrl || null });
+    });
+
+    // Open rooms for the lobby browser (same data as the listRooms socket event)
+    router.get('/rooms', (req, res) => {
+        res.json({ rooms: listRooms() });
+    });
+
+    // Finished matches, newest first: ?limit=20&offset=0
+    router.get('/matches', (req, res) => {
+        res.json(matches.list(paging(req)));
+    });
+
+    router.get('/players/:id/matches', (req, res) => {
+        const player = players.get(req.params.id);
+        if (!player) {
+            res.status(404).json({ error: 'Unknown player' });
+            return;
+        }
+        res.json({
+            player: { id: player.id, displayName: players.getDisplayName(player.id) },
+            ...matches.list({ playerId: player.id, ...paging(req) })
+        });
+    });
+
+    // Top rated players: ?limit=10 (at most 100)
+    router.get('/leaderboard', (req, res) => {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+        res.json({ players: leaderboard(limit) });
+    });
+
+    router.use((req, res) => {
+        res.status(404).json({ error: 'Not found' });
+    });
+
+    return router;
+}
+
+function paging(req) {
+    return {
+        limit: parseInt(req.query.limit, 10) || undefined,
+        offset: parseInt(req.query.offset, 10) || undefined
+    };
+}
+
+module.exports = { createApiRouter };
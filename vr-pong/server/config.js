@@ -0,0 +1,139 @@
+// Server configuration. Each setting comes from, highest priority first:
+// a command line flag, an environment variable, the config file, the default.
+// The config file is vr-pong.config.json next to server.js unless --config or
+// VR_PONG_CONFIG points somewhere else; see config.example.json.
+//
+//   setting           flag                  env                 meaning
+//   host              --host                HOST                interface to listen on (all when unset)
+//   port              --port                PORT                8443 for https, 3000 for http
+//   protocol          --protocol            VR_PONG_PROTOCOL    'https' or 'http' (http when RENDER=true)
+//   tlsCert           --tls-cert            TLS_CERT            PEM certificate; generated when unset
+//   tlsKey            --tls-key             TLS_KEY             PEM private key for tlsCert
+//   publicUrl         --public-url          PUBLIC_URL          socket URL handed to the page (see /api/config)
+//   dataDir           --data-dir            VR_PONG_DATA_DIR    server state: players, generated cert
+//   reconnectGraceMs  --reconnect-grace-ms  RECONNECT_GRACE_MS  ms a dropped player's seat is held (30000)
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIR, 'vr-pong.config.json');
+
+const SETTINGS = {
+    host: { flag: 'host', env: 'HOST' },
+    port: { flag: 'port', env: 'PORT' },
+    protocol: { flag: 'protocol', env: 'VR_PONG_PROTOCOL' },
+    tlsCert: { flag: 'tls-cert', env: 'TLS_CERT' },
+    tlsKey: { flag: 'tls-key', env: 'TLS_KEY' },
+    publicUrl: { flag: 'public-url', env: 'PUBLIC_URL' },
+    dataDir: { flag: 'data-dir', env: 'VR_PONG_DATA_DIR' },
+    reconnectGraceMs: { flag: 'reconnect-grace-ms', env: 'RECONNECT_GRACE_MS' }
+};
+
+// Paths in the config file are relative to the file, everything else to the
+// working directory
+const PATH_SETTINGS = ['tlsCert', 'tlsKey', 'dataDir'];
+
+// Parse --name value and --name=value pairs
+function parseFlags(argv) {
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+        const [, name, inlineValue] = match;
+        if (inlineValue !== undefined) {
+            flags[name] = inlineValue;
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            flags[name] = argv[++i];
+        } else {
+            throw new Error(`Missing value for --${name}`);
+        }
+    }
+    return flags;
+}
+
+function readConfigFile(filePath, required) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT' && !required) return {};
+        throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+    }
+
+    let values;
+    try {
+        values = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Config file ${filePath} is not valid JSON: ${error.message}`);
+    }
+
+    for (const key of Object.keys(values)) {
+        if (!Object.prototype.hasOwnProperty.call(SETTINGS, key)) {
+            throw new Error(`Unknown setting "${key}" in ${filePath}`);
+        }
+    }
+    for (const key of PATH_SETTINGS) {
+        if (typeof values[key] === 'string') {
+            values[key] = path.resolve(path.dirname(filePath), values[key]);
+        }
+    }
+    return values;
+}
+
+function validate(config) {
+    if (config.protocol !== 'http' && config.protocol !== 'https') {
+        throw new Error(`protocol must be "http" or "https", got "${config.protocol}"`);
+    }
+    if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+        throw new Error(`port must be a number from 0 to 65535, got "${config.port}"`);
+    }
+    if (Boolean(config.tlsCert) !== Boolean(config.tlsKey)) {
+        throw new Error('tlsCert and tlsKey must be set together');
+    }
+    if (!Number.isInteger(config.reconnectGraceMs) || config.reconnectGraceMs < 0) {
+        throw new Error(`reconnectGraceMs must be a whole number of milliseconds, got "${config.reconnectGraceMs}"`);
+    }
+    if (config.publicUrl && !/^(https?|wss?):\/\/[^/]+/.test(config.publicUrl)) {
+        throw new Error(`publicUrl must be an absolute http(s) or ws(s) URL, got "${config.publicUrl}"`);
+    }
+}
+
+// Throws an Error describing the first bad setting
+function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+    const flags = parseFlags(argv);
+    for (const name of Object.keys(flags)) {
+        if (name !== 'config' && !Object.values(SETTINGS).some((setting) => setting.flag === name)) {
+            throw new Error(`Unknown flag --${name}`);
+        }
+    }
+
+    const configPath = flags.config || env.VR_PONG_CONFIG;
+    const file = readConfigFile(configPath ? path.resolve(configPath) : DEFAULT_CONFIG_FILE, Boolean(configPath));
+
+    const config = {};
+    for (const [key, { flag, env: envName }] of Object.entries(SETTINGS)) {
+        let value = flags[flag] ?? env[envName];
+        if (value !== undefined && PATH_SETTINGS.includes(key)) {
+            value = path.resolve(value);
+        }
+        config[key] = value ?? file[key] ?? null;
+    }
+
+    // Render terminates TLS in front of us
+    if (!config.protocol) {
+        config.protocol = env.RENDER === 'true' ? 'http' : 'https';
+    }
+    config.port = config.port === null
+        ? (config.protocol === 'https' ? 8443 : 3000)
+        : Number(config.port);
+    config.dataDir = config.dataDir || path.join(ROOT_DIR, 'data');
+    config.reconnectGraceMs = config.reconnectGraceMs === null ? 30000 : Number(config.reconnectGraceMs);
+
+    validate(config);
+    return config;
+}
+
+module.exports = { loadConfig };
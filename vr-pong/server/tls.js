@@ -0,0 +1,58 @@
+// Certificate for the HTTPS server: the user's own cert/key when configured,
+// otherwise a self-signed one that is generated once and kept in the data
+// directory. Reusing it means a browser (or Quest) that accepted the warning
+// keeps trusting the server across restarts.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const selfsigned = require('selfsigned');
+
+const CERT_DAYS = 365;
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000; // Regenerate a day before expiry
+
+function loadTlsCredentials(config) {
+    if (config.tlsCert) {
+        return {
+            cert: fs.readFileSync(config.tlsCert),
+            key: fs.readFileSync(config.tlsKey),
+            generated: false
+        };
+    }
+
+    const dir = path.join(config.dataDir, 'tls');
+    const certPath = path.join(dir, 'cert.pem');
+    const keyPath = path.join(dir, 'key.pem');
+
+    try {
+        const cert = fs.readFileSync(certPath, 'utf8');
+        const key = fs.readFileSync(keyPath, 'utf8');
+        if (!expiresSoon(cert)) {
+            return { cert, key, generated: true, certPath };
+        }
+        console.log('Generated certificate is about to expire, making a new one');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Could not read generated certificate from ${dir}:`, error.message);
+        }
+    }
+
+    const attrs = [{ name: 'commonName', value: 'localhost' }];
+    const pems = selfsigned.generate(attrs, { days: CERT_DAYS });
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(certPath, pems.cert);
+    fs.writeFileSync(keyPath, pems.private, { mode: 0o600 });
+    console.log(`Generated a self-signed certificate in ${dir}`);
+
+    return { cert: pems.cert, key: pems.private, generated: true, certPath };
+}
+
+function expiresSoon(certPem) {
+    // X509Certificate needs Node 15.6; on older versions just keep the cert
+    if (!crypto.X509Certificate) return false;
+    const validTo = Date.parse(new crypto.X509Certificate(certPem).validTo);
+    return validTo - Date.now() < RENEW_BEFORE_MS;
+}
+
+module.exports = { loadTlsCredentials };
@@ -0,0 +1,158 @@
+// Payload schemas for every socket event a client may send. server.js runs
+// each payload through validatePayload() before its handler sees it; anything
+// that doesn't match is dropped and logged as a violation. Validators return
+// an error message, or null when the value is fine.
+
+const ROOM_CODE = /^[0-9A-Z]{6}$/; // See generateRoomId() in server.js
+
+// Matchmaking region tags: the first part of an IANA time zone, lowercased
+// (MultiplayerManager derives it from the browser's time zone)
+const REGIONS = ['africa', 'america', 'antarctica', 'asia', 'atlantic', 'australia', 'europe', 'indian', 'pacific'];
+
+const is = {
+    number({ min = -Infinity, max = Infinity } = {}) {
+        return (value) => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'expected a finite number';
+            if (value < min || value > max) return `expected a number from ${min} to ${max}`;
+            return null;
+        };
+    },
+
+    string({ min = 0, max = Infinity } = {}) {
+        return (value) => {
+            if (typeof value !== 'string') return 'expected a string';
+            if (value.length < min || value.length > max) return `expected ${min}-${max} characters`;
+            return null;
+        };
+    },
+
+    // Room codes are case-insensitive for people typing them in;
+    // sanitize() hands the handler the normalized code
+    roomCode() {
+        const check = (value) => (typeof value === 'string' && ROOM_CODE.test(normalizeRoomCode(value))
+            ? null
+            : 'expected a six character room code');
+        check.normalize = normalizeRoomCode;
+        return check;
+    },
+
+    oneOf(values) {
+        return (value) => (values.includes(value) ? null : `expected one of ${values.join(', ')}`);
+    },
+
+    optional(validator) {
+        const check = (value) => (value === undefined || value === null ? null : validator(value));
+        check.shape = validator.shape;
+        return check;
+    },
+
+    // Plain object with the given keys; unknown keys are dropped by sanitize()
+    object(shape) {
+        const check = (value) => {
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                return 'expected an object';
+            }
+            for (const [key, validator] of Object.entries(shape)) {
+                const error = validator(value[key]);
+                if (error) return `${key}: ${error}`;
+            }
+            return null;
+        };
+        check.shape = shape;
+        return check;
+    }
+};
+
+// Generous bounds around the table (see TABLE in js/shared/PongPhysics.mjs);
+// controllers can be anywhere in the room
+const vector = (range) => is.object({
+    x: is.number(range.x),
+    y: is.number(range.y),
+    z: is.number(range.z)
+});
+const unit = { min: -1.01, max: 1.01 }; // Unit quaternion, with room for rounding
+const quaternion = is.object({
+    x: is.number(unit),
+    y: is.number(unit),
+    z: is.number(unit),
+    w: is.number(unit)
+});
+const controller = is.optional(is.object({
+    position: vector({ x: { min: -10, max: 10 }, y: { min: -10, max: 10 }, z: { min: -10, max: 10 } }),
+    rotation: quaternion
+}));
+const tablePosition = vector({ x: { min: -1, max: 1 }, y: { min: 0, max: 3 }, z: { min: -3, max: 1 } });
+
+// Event name -> payload validator. null means the event takes no payload
+// (whatever is sent is ignored). Events missing here are rejected outright.
+const EVENT_SCHEMAS = {
+    // rules names a preset in js/shared/MatchRules.mjs; unknown ones get the default
+    hostGame: is.optional(is.object({
+        seriesLength: is.optional(is.oneOf([1, 3, 5, 7])),
+        rules: is.optional(is.string({ min: 1, max: 32 }))
+    })),
+    quickJoin: is.optional(is.object({ region: is.optional(is.oneOf(REGIONS)) })),
+    cancelMatchmaking: null,
+    listRooms: null,
+    stopSpectating: null,
+    joinRoom: is.object({ roomId: is.roomCode() }),
+    spectateRoom: is.object({ roomId: is.roomCode() }),
+    startGame: is.object({ roomId: is.roomCode() }),
+    rematchVote: is.object({ roomId: is.roomCode() }),
+    pauseGame: is.object({ roomId: is.roomCode() }),
+    resumeGame: is.object({ roomId: is.roomCode() }),
+    leaveRoom: is.object({ roomId: is.roomCode() }),
+    setDisplayName: is.object({ displayName: is.string({ min: 1, max: 100 }) }),
+    updatePaddlePosition: tablePosition,
+    collisionEvent: is.object({
+        roomId: is.roomCode(),
+        type: is.oneOf(['paddle', 'wall']),
+        position: tablePosition
+    }),
+    updateControllerData: is.object({
+        roomId: is.roomCode(),
+        leftController: controller,
+        rightController: controller
+    })
+};
+
+// Copy only the keys the schema knows about
+function sanitize(validator, value) {
+    if (!validator || value === null || value === undefined) return value;
+    if (validator.normalize) return validator.normalize(value);
+    if (!validator.shape) return value;
+
+    const clean = {};
+    for (const [key, child] of Object.entries(validator.shape)) {
+        clean[key] = sanitize(child, value[key]);
+    }
+    return clean;
+}
+
+function isKnownEvent(event) {
+    return Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event);
+}
+
+// Returns { valid: true, value } with a sanitized payload, or { valid: false, error }
+function validatePayload(event, payload) {
+    if (!isKnownEvent(event)) {
+        return { valid: false, error: 'unknown event' };
+    }
+
+    const validator = EVENT_SCHEMAS[event];
+    if (validator === null) {
+        return { valid: true, value: undefined };
+    }
+
+    const error = validator(payload);
+    if (error) {
+        return { valid: false, error };
+    }
+    return { valid: true, value: sanitize(validator, payload) };
+}
+
+function normalizeRoomCode(roomId) {
+    return roomId.trim().toUpperCase();
+}
+
+module.exports = { EVENT_SCHEMAS, validatePayload, isKnownEvent };
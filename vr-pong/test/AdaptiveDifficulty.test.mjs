@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveDifficulty, DEFAULT_SKILL, difficultyAtSkill } from '../js/shared/AdaptiveDifficulty.mjs';
+import { PaddleAI, AI_DIFFICULTY } from '../js/shared/PaddleAI.mjs';
+import { PongSimulation, SIM_EVENT, seededRandom } from '../js/shared/PongSimulation.mjs';
+import { TICK_SECONDS } from '../js/shared/PongPhysics.mjs';
+import { getRules } from '../js/shared/MatchRules.mjs';
+
+// Matches to 11 between a fixed AI level standing in for the player (the
+// host) and the adaptive AI (the guest). Returns the final scores.
+function playMatches(level, adaptive, count) {
+    const random = seededRandom(21);
+    const player = new PaddleAI({ difficulty: level, random });
+    const ai = new PaddleAI({ random });
+    const scores = [];
+
+    for (let match = 0; match < count; match++) {
+        adaptive.reset();
+        ai.setProfile(adaptive.profile);
+        const simulation = new PongSimulation({ rules: getRules('points'), random, countdownMs: 0, serveDelayMs: 0 });
+        const { paddles, ball } = simulation;
+
+        while (!simulation.isOver) {
+            player.update(paddles.host, ball, TICK_SECONDS, { opponent: paddles.guest });
+            ai.update(paddles.guest, ball, TICK_SECONDS, { opponent: paddles.host });
+            for (const event of simulation.step()) {
+                if (event.type === SIM_EVENT.HIT && event.side === 'host') {
+                    adaptive.recordReturn();
+                } else if (event.type === SIM_EVENT.POINT) {
+                    const score = { player: event.score.host, ai: event.score.guest };
+                    ai.setProfile(adaptive.recordPoint(event.side === 'host', event.rallyHits, score));
+                }
+            }
+        }
+        scores.push({ ...simulation.score });
+    }
+    return scores;
+}
+
+test('skill runs through the levels from easy to expert', () => {
+    assert.deepEqual(difficultyAtSkill(0), { ...AI_DIFFICULTY.easy, id: 'adaptive', label: 'ADAPTIVE' });
+    assert.deepEqual(difficultyAtSkill(1), { ...AI_DIFFICULTY.expert, id: 'adaptive', label: 'ADAPTIVE' });
+
+    // Halfway between medium and hard
+    const profile = difficultyAtSkill(0.5);
+    assert.equal(profile.reactionMs, (AI_DIFFICULTY.medium.reactionMs + AI_DIFFICULTY.hard.reactionMs) / 2);
+    assert.equal(profile.maxSpeed, (AI_DIFFICULTY.medium.maxSpeed + AI_DIFFICULTY.hard.maxSpeed) / 2);
+});
+
+test('the skill follows the player\'s points and stays in range', () => {
+    const adaptive = new AdaptiveDifficulty();
+    for (let point = 1; point <= 30; point++) {
+        adaptive.recordReturn();
+        adaptive.recordPoint(true, 3, { player: point, ai: 0 });
+    }
+    assert.equal(adaptive.skill, 1);
+    assert.ok(adaptive.settledSkill > DEFAULT_SKILL);
+
+    // Next match, the player loses every point
+    adaptive.reset();
+    for (let point = 1; point <= 30; point++) {
+        adaptive.recordPoint(false, 0, { player: 0, ai: point });
+    }
+    assert.equal(adaptive.skill, 0);
+});
+
+test('a stored skill carries over; a bad one gets the default', () => {
+    assert.equal(new AdaptiveDifficulty({ skill: 0.8 }).skill, 0.8);
+    assert.equal(new AdaptiveDifficulty({ skill: NaN }).skill, DEFAULT_SKILL);
+    assert.equal(new AdaptiveDifficulty({ skill: 3 }).skill, 1);
+});
+
+test('matches against the adaptive AI stay close', () => {
+    // Where a fixed medium AI would lose to a strong player and beat a
+    // weak one
+    for (const level of ['easy', 'hard']) {
+        const adaptive = new AdaptiveDifficulty();
+        const scores = playMatches(level, adaptive, 3);
+        const player = scores.reduce((sum, score) => sum + score.host, 0);
+        const ai = scores.reduce((sum, score) => sum + score.guest, 0);
+        const share = player / (player + ai);
+        assert.ok(share > 0.35 && share < 0.65, `${level}: ${JSON.stringify(scores)}`);
+        assert.ok(level === 'easy' ? adaptive.settledSkill < DEFAULT_SKILL : adaptive.settledSkill > DEFAULT_SKILL,
+            `${level}: settled at ${adaptive.settledSkill}`);
+    }
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GamePhases, PHASE } from '../js/shared/GamePhases.mjs';
+
+test('a transition to the current phase is rejected, any other goes through', () => {
+    const phases = new GamePhases();
+    assert.equal(phases.transition(PHASE.MENU), false);
+    assert.equal(phases.transition(PHASE.COUNTDOWN), true);
+    assert.equal(phases.transition(PHASE.COUNTDOWN), false);
+    assert.equal(phases.transition(PHASE.SERVING), true);
+    assert.equal(phases.is(PHASE.SERVING, PHASE.RALLY), true);
+    assert.equal(phases.isPlaying(), true);
+
+    assert.equal(phases.transition(PHASE.GAME_OVER), true);
+    assert.equal(phases.isPlaying(), false);
+});
+
+test('pause and resume only apply to a game in progress', () => {
+    const phases = new GamePhases();
+    assert.equal(phases.pause(), false);
+    assert.equal(phases.resume(), false);
+
+    phases.transition(PHASE.RALLY);
+    phases.update(400);
+    assert.equal(phases.pause(), true);
+    assert.equal(phases.pause(), false);
+    phases.update(5000);
+    assert.equal(phases.timeInPhase, 0);
+
+    const entered = [];
+    phases.onEnter(PHASE.RALLY, (context) => entered.push(context));
+    assert.equal(phases.resume(), true);
+    assert.deepEqual(entered, [{ resumed: true, from: PHASE.PAUSED, to: PHASE.RALLY }]);
+    assert.equal(phases.timeInPhase, 400);
+    assert.equal(phases.resume(), false);
+
+    phases.transition(PHASE.GAME_OVER);
+    assert.equal(phases.pause(), false);
+});
+
+test('leaving a paused game starts the next phase afresh', () => {
+    const phases = new GamePhases(PHASE.SERVING);
+    phases.pause();
+    phases.transition(PHASE.MENU);
+    assert.equal(phases.pausedFrom, null);
+    assert.equal(phases.resume(), false);
+    assert.equal(phases.timeInPhase, 0);
+});
+
+test('exit hooks run before enter hooks, each in subscription order, until unsubscribed', () => {
+    const phases = new GamePhases();
+    const calls = [];
+    phases.onEnter(PHASE.COUNTDOWN, ({ from, to, seed }) => calls.push(['enter 1', from, to, seed]));
+    const unsubscribe = phases.onEnter(PHASE.COUNTDOWN, () => calls.push(['enter 2']));
+    phases.onExit(PHASE.MENU, ({ to }) => calls.push(['exit', to]));
+    phases.onEnter(PHASE.MENU, () => calls.push(['enter menu']));
+
+    phases.transition(PHASE.COUNTDOWN, { seed: 7 });
+    assert.deepEqual(calls, [
+        ['exit', PHASE.COUNTDOWN],
+        ['enter 1', PHASE.MENU, PHASE.COUNTDOWN, 7],
+        ['enter 2']
+    ]);
+
+    calls.length = 0;
+    unsubscribe();
+    phases.transition(PHASE.MENU);
+    phases.transition(PHASE.COUNTDOWN);
+    assert.deepEqual(calls, [
+        ['enter menu'],
+        ['exit', PHASE.COUNTDOWN],
+        ['enter 1', PHASE.MENU, PHASE.COUNTDOWN, undefined]
+    ]);
+});
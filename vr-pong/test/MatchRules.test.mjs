@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRules, evaluateMatch, END_REASON, DEFAULT_RULES, RULE_PRESETS } from '../js/shared/MatchRules.mjs';
+
+const NOT_OVER = { winner: null, reason: null, overtime: false };
+
+test('past the points to win, a game goes on until someone leads by 2', () => {
+    const rules = getRules('points');
+    assert.deepEqual(evaluateMatch(rules, 10, 9), NOT_OVER);
+    assert.deepEqual(evaluateMatch(rules, 11, 10), NOT_OVER);
+    assert.deepEqual(evaluateMatch(rules, 12, 12), NOT_OVER);
+    assert.deepEqual(evaluateMatch(rules, 12, 14), { winner: 'guest', reason: END_REASON.POINTS, overtime: false });
+    assert.deepEqual(evaluateMatch(rules, 11, 3), { winner: 'host', reason: END_REASON.POINTS, overtime: false });
+
+    // No clock: time never ends it
+    assert.deepEqual(evaluateMatch(rules, 4, 1, { elapsedMs: 10 * 60000 }), NOT_OVER);
+});
+
+test('the leader at the buzzer wins on time', () => {
+    const rules = getRules('timed');
+    assert.deepEqual(evaluateMatch(rules, 30, 2, { elapsedMs: 119999 }), NOT_OVER);
+    assert.deepEqual(evaluateMatch(rules, 3, 2, { elapsedMs: 120000 }), { winner: 'host', reason: END_REASON.TIME, overtime: false });
+
+    // Points still come first when both are reached
+    const standard = getRules('standard');
+    assert.deepEqual(evaluateMatch(standard, 4, 11, { elapsedMs: 130000 }), { winner: 'guest', reason: END_REASON.POINTS, overtime: false });
+});
+
+test('a tie at the buzzer goes to overtime and the next point wins by sudden death', () => {
+    const rules = getRules('standard');
+    const buzzer = evaluateMatch(rules, 5, 5, { elapsedMs: 120000 });
+    assert.deepEqual(buzzer, { winner: null, reason: null, overtime: true });
+
+    // Still tied, still overtime
+    assert.deepEqual(evaluateMatch(rules, 5, 5, { elapsedMs: 125000, overtime: buzzer.overtime }), buzzer);
+
+    const next = evaluateMatch(rules, 5, 6, { elapsedMs: 128000, overtime: buzzer.overtime });
+    assert.deepEqual(next, { winner: 'guest', reason: END_REASON.SUDDEN_DEATH, overtime: true });
+
+    // Reaching the points in overtime reports points and keeps the flag
+    assert.deepEqual(evaluateMatch(rules, 11, 9, { elapsedMs: 130000, overtime: true }), { winner: 'host', reason: END_REASON.POINTS, overtime: true });
+});
+
+test('unknown rule ids fall back to the default rules', () => {
+    for (const id of ['nope', undefined, null, '__proto__', 'constructor', 'toString']) {
+        assert.deepEqual(getRules(id), { id: DEFAULT_RULES, ...RULE_PRESETS[DEFAULT_RULES] });
+    }
+    assert.equal(getRules('short').pointsToWin, 5);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Matchmaker } from '../server/Matchmaker.js';
+
+// A matchmaker on a clock the test moves; ticks are run by hand
+function createMatchmaker() {
+    const clock = { ms: 0 };
+    const matches = [];
+    const statuses = new Map();
+    const matchmaker = new Matchmaker({
+        now: () => clock.ms,
+        onMatch: (host, guest) => matches.push([host.playerId, guest.playerId]),
+        onStatus: (entry, status) => statuses.set(entry.playerId, status)
+    });
+    return { matchmaker, clock, matches, statuses };
+}
+
+function player(playerId, rating, region = 'europe') {
+    return { playerId, socketId: `socket-${playerId}`, rating, region };
+}
+
+test('ratings too far apart only match once the wait has widened the gap', () => {
+    const { matchmaker, clock, matches } = createMatchmaker();
+    matchmaker.enqueue(player('ada', 1000));
+    matchmaker.enqueue(player('bob', 1250));
+
+    for (const ms of [1000, 5000, 7000]) {
+        clock.ms = ms;
+        matchmaker.tick();
+        assert.deepEqual(matches, [], `matched after ${ms}ms`);
+    }
+
+    // 100 allowed at first, 20 more every second: 250 after 7.5s
+    clock.ms = 7500;
+    matchmaker.tick();
+    assert.deepEqual(matches, [['ada', 'bob']]);
+    assert.equal(matchmaker.queue.length, 0);
+    assert.equal(matchmaker.interval, null);
+});
+
+test('players in the same region are preferred until the region wait is over', () => {
+    const { matchmaker, clock, matches } = createMatchmaker();
+    matchmaker.enqueue(player('ada', 1000, 'europe'));
+    matchmaker.enqueue(player('bob', 1000, 'america'));
+    matchmaker.enqueue(player('cy', 1080, 'europe'));
+
+    // bob has the closer rating, cy the same region
+    clock.ms = 1000;
+    matchmaker.tick();
+    assert.deepEqual(matches, [['ada', 'cy']]);
+
+    matchmaker.enqueue(player('dee', 1000, 'asia'));
+    clock.ms = 29000;
+    matchmaker.tick();
+    assert.equal(matches.length, 1);
+
+    // Both have waited 30s by now
+    clock.ms = 59000;
+    matchmaker.tick();
+    assert.deepEqual(matches, [['ada', 'cy'], ['bob', 'dee']]);
+});
+
+test('waiting players hear how long they can expect to wait', () => {
+    const { matchmaker, clock, statuses } = createMatchmaker();
+
+    // Nobody to play: the default estimate
+    assert.equal(matchmaker.enqueue(player('ada', 1000)), 30000);
+
+    // A gap of 200 is allowed after 5s, and pairing waits for the next tick
+    assert.equal(matchmaker.enqueue(player('bob', 1200)), 6000);
+
+    clock.ms = 2000;
+    matchmaker.tick();
+    assert.deepEqual(statuses.get('ada'), { waitedMs: 2000, estimatedWaitMs: 4000, ratingGap: 140, queueSize: 2 });
+    assert.deepEqual(statuses.get('bob'), statuses.get('ada'));
+
+    // Once pairs have been made, a newcomer with nobody suitable gets their average wait
+    clock.ms = 5000;
+    matchmaker.tick();
+    assert.equal(matchmaker.queue.length, 0);
+    assert.equal(matchmaker.enqueue(player('cy', 2500)), 5000);
+    matchmaker.stop();
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OPPONENTS, getOpponent, nextOpponent, isUnlocked, opponentProfile } from '../js/shared/Opponents.mjs';
+import { AI_DIFFICULTY } from '../js/shared/PaddleAI.mjs';
+import { getRules, matchProgress } from '../js/shared/MatchRules.mjs';
+
+test('opponents unlock one after another up the ladder', () => {
+    const [first, second, third] = OPPONENTS;
+    assert.ok(isUnlocked(first.id, []));
+    assert.ok(!isUnlocked(second.id, []));
+    assert.ok(isUnlocked(second.id, [first.id]));
+    assert.ok(!isUnlocked(third.id, [first.id]));
+    assert.ok(!isUnlocked('nobody', [first.id]));
+
+    assert.equal(nextOpponent(first.id), second);
+    assert.equal(nextOpponent(OPPONENTS.at(-1).id), null);
+    assert.equal(getOpponent('nobody'), null);
+});
+
+test('every opponent plays to a complete profile under its own name', () => {
+    const fields = Object.keys(AI_DIFFICULTY.medium);
+    for (const opponent of OPPONENTS) {
+        for (const progress of [0, 1]) {
+            const profile = opponentProfile(opponent, progress);
+            assert.equal(profile.label, opponent.name);
+            for (const field of fields) {
+                assert.ok(field in profile, `${opponent.id} has no ${field}`);
+            }
+        }
+    }
+});
+
+test('the late surge only kicks in toward the end of a match', () => {
+    const closer = OPPONENTS.find((opponent) => opponent.lateSurge);
+    const { from } = closer.lateSurge;
+    const start = AI_DIFFICULTY[closer.difficulty];
+
+    assert.equal(opponentProfile(closer, 0).reactionMs, start.reactionMs);
+    assert.equal(opponentProfile(closer, from).reactionMs, start.reactionMs);
+    assert.ok(opponentProfile(closer, (from + 1) / 2).reactionMs < start.reactionMs);
+    assert.equal(opponentProfile(closer, 1).reactionMs, AI_DIFFICULTY.expert.reactionMs);
+});
+
+test('match progress follows the leader\'s points or the clock', () => {
+    assert.equal(matchProgress(getRules('points'), 0, 0), 0);
+    assert.equal(matchProgress(getRules('short'), 1, 4), 0.8);
+    assert.equal(matchProgress(getRules('short'), 7, 5), 1);
+    assert.equal(matchProgress(getRules('timed'), 9, 0, 30000), 0.25);
+    // Whichever is further on
+    assert.equal(matchProgress(getRules('standard'), 0, 0, 60000), 0.5);
+    assert.equal(matchProgress(getRules('standard'), 0, 0, 240000), 1);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaddleAI, AI_DIFFICULTY, AI_MODE, DEFAULT_DIFFICULTY, getDifficulty } from '../js/shared/PaddleAI.mjs';
+import { PongSimulation, SIM_EVENT, seededRandom } from '../js/shared/PongSimulation.mjs';
+import { TICK_RATE, TICK_SECONDS, TABLE } from '../js/shared/PongPhysics.mjs';
+
+const ENDLESS = { pointsToWin: null, winBy: 2, timeLimitMs: null };
+
+// Serve balls at the AI (the guest) until it has faced count of them. The
+// host paddle is a wall that is always under the ball; with steep set it
+// sends every ball back at a sharp angle, off the side walls. opponent is
+// where the AI is told the host is. Returns how many balls the AI sent back
+// and how many of those went to the left (-x).
+function returnedBalls(ai, random, { count = 200, steep = false, opponent = null } = {}) {
+    const simulation = new PongSimulation({ rules: ENDLESS, random, countdownMs: 0, serveDelayMs: 0 });
+    const { ball } = simulation;
+    let returned = 0;
+    let leftward = 0;
+    let faced = 0;
+
+    for (let step = 0; faced < count && step < TICK_RATE * 3600; step++) {
+        simulation.setPaddle('host', ball.position.x);
+        ai.update(simulation.paddles.guest, ball, TICK_SECONDS, { opponent: opponent || simulation.paddles.host });
+        for (const event of simulation.step()) {
+            if (event.type === SIM_EVENT.HIT && event.side === 'guest') {
+                returned++;
+                faced++;
+                if (ball.velocity.x < 0) leftward++;
+            } else if (event.type === SIM_EVENT.POINT) {
+                faced++;
+            } else if (steep && (event.type === SIM_EVENT.SERVE || event.type === SIM_EVENT.HIT)) {
+                ball.velocity.x = (random() < 0.5 ? -1.5 : 1.5) * Math.abs(ball.velocity.z);
+            }
+        }
+    }
+    return { returned, leftward };
+}
+
+test('unknown difficulty ids fall back to the default', () => {
+    assert.equal(getDifficulty('nightmare').id, DEFAULT_DIFFICULTY);
+    assert.equal(getDifficulty(null).id, DEFAULT_DIFFICULTY);
+    assert.deepEqual(getDifficulty('hard'), { id: 'hard', ...AI_DIFFICULTY.hard });
+});
+
+test('harder levels send more balls back', () => {
+    const returned = Object.keys(AI_DIFFICULTY).map((difficulty) => {
+        const random = seededRandom(11);
+        return returnedBalls(new PaddleAI({ difficulty, random }), random).returned;
+    });
+
+    for (let i = 1; i < returned.length; i++) {
+        assert.ok(returned[i] >= returned[i - 1], `${returned}`);
+    }
+    assert.ok(returned.at(-1) > returned[0], `${returned}`);
+});
+
+test('the AI reacts to the ball only after its reaction delay', () => {
+    const ai = new PaddleAI({ difficulty: 'easy' });
+    const paddle = { x: 0, y: TABLE.ballHeight, z: -1.9 };
+    const ball = { position: { x: 0, y: TABLE.ballHeight, z: -1 }, velocity: { x: 0, y: 0, z: 0 } };
+    ai.update(paddle, ball, TICK_SECONDS);
+
+    ball.position.x = 0.4;
+    let steps = 0;
+    while (paddle.x === 0 && steps < TICK_RATE) {
+        ai.update(paddle, ball, TICK_SECONDS);
+        steps++;
+    }
+    // Give or take a step for rounding
+    const delaySteps = AI_DIFFICULTY.easy.reactionMs / 1000 * TICK_RATE;
+    assert.ok(steps >= delaySteps && steps <= delaySteps + 2, `${steps} steps`);
+});
+
+test('misjudged balls are mostly missed, well judged ones returned', () => {
+    // random() = 0 rolls a mistake every time; 0.5 none and no aiming error.
+    // A misjudged ball can still glance off a paddle chasing it late.
+    const misjudged = returnedBalls(new PaddleAI({ difficulty: 'expert', random: () => 0 }), seededRandom(3), { count: 20 }).returned;
+    const judged = returnedBalls(new PaddleAI({ difficulty: 'expert', random: () => 0.5 }), seededRandom(3), { count: 20 }).returned;
+    assert.ok(misjudged <= 5, `${misjudged} of 20 returned`);
+    assert.equal(judged, 20);
+});
+
+test('predicting the bounces returns steep balls that chasing misses', () => {
+    const returned = [AI_MODE.CHASE, AI_MODE.PREDICT].map((mode) => {
+        const random = seededRandom(12);
+        return returnedBalls(new PaddleAI({ difficulty: 'hard', mode, random }), random, { count: 100, steep: true }).returned;
+    });
+    const [chased, predicted] = returned;
+    assert.ok(predicted > 70, `${returned}`);
+    assert.ok(predicted > chased * 2, `${returned}`);
+});
+
+test('aimed returns go away from the other player', () => {
+    // The host is said to stand on the right, so returns should go left
+    const opponent = { x: 0.5, y: TABLE.ballHeight, z: -0.1 };
+    const random = seededRandom(8);
+    const aimed = returnedBalls(new PaddleAI({ difficulty: 'expert', random }), random, { count: 50, opponent });
+    assert.ok(aimed.leftward >= aimed.returned * 0.9, `${aimed.leftward} of ${aimed.returned} to the left`);
+
+    const unaimed = returnedBalls(new PaddleAI({ difficulty: 'easy', mode: AI_MODE.PREDICT, random }), random, { count: 50, opponent });
+    assert.ok(unaimed.leftward < unaimed.returned * 0.7, `${unaimed.leftward} of ${unaimed.returned} to the left`);
+});
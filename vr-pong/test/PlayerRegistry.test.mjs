@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { PlayerRegistry } from '../server/PlayerRegistry.js';
+
+// A registry on a file that doesn't exist; tests stop it before it saves
+function createRegistry() {
+    return new PlayerRegistry(path.join(os.tmpdir(), `vr-pong-players-${process.pid}-${Date.now()}.json`));
+}
+
+function stopSaving(registry) {
+    clearTimeout(registry.saveTimeout);
+}
+
+test('a returning player keeps their identity; a wrong token gets a new one', () => {
+    const registry = createRegistry();
+    const player = registry.identify({ displayName: 'Ada' });
+    registry.claim(player);
+
+    assert.equal(registry.identify({ playerId: player.id, playerToken: player.token }), player);
+    assert.equal(player.displayName, 'Ada');
+
+    const stranger = registry.identify({ playerId: player.id, playerToken: 'not the token' });
+    assert.notEqual(stranger.id, player.id);
+    stopSaving(registry);
+});
+
+test('new identities are only kept once claimed', () => {
+    const registry = createRegistry();
+    for (let i = 0; i < 10; i++) {
+        registry.identify({});
+    }
+    assert.equal(registry.players.size, 0);
+    assert.equal(registry.saveTimeout, null);
+
+    const player = registry.identify({});
+    assert.notEqual(registry.identify({ playerId: player.id, playerToken: player.token }).id, player.id);
+    registry.claim(player);
+    registry.claim(player);
+    assert.equal(registry.players.size, 1);
+    assert.equal(registry.get(player.id), player);
+    stopSaving(registry);
+});
+
+test('ids that name object properties or aren\'t strings are unknown players', () => {
+    const registry = createRegistry();
+    const ids = ['__proto__', 'constructor', 'toString', 'hasOwnProperty', 42, null, {}, ['x']];
+
+    for (const playerId of ids) {
+        assert.equal(registry.get(playerId), null);
+        assert.equal(registry.getDisplayName(playerId), null);
+        assert.equal(registry.setDisplayName(playerId, 'Eve'), null);
+
+        for (const playerToken of ['x', undefined, 7, { length: 1 }]) {
+            const player = registry.identify({ playerId, playerToken });
+            assert.equal(typeof player.id, 'string');
+            assert.notEqual(player.id, playerId);
+        }
+    }
+    assert.equal(registry.identify(null).displayName.startsWith('Player-'), true);
+    stopSaving(registry);
+});
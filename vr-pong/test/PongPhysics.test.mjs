@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    BALL,
+    PADDLE,
+    STEP,
+    TABLE,
+    TICK_SECONDS,
+    createBallState,
+    stepBall,
+    sweepBallPaddle,
+    predictCrossing,
+    flipTableSide
+} from '../js/shared/PongPhysics.mjs';
+
+const nearPaddle = { x: 0, y: TABLE.ballHeight, z: PADDLE.nearZ };
+
+// A ball in the middle of the table heading for the near paddle
+function ballTowardNear(speed, x = 0) {
+    const ball = createBallState();
+    ball.position.x = x;
+    ball.velocity.z = speed;
+    return ball;
+}
+
+function stepUntilResult(ball, near, far, maxSteps = 10000) {
+    for (let step = 0; step < maxSteps; step++) {
+        const result = stepBall(ball, near, far, TICK_SECONDS, () => 0.5);
+        if (result) return result;
+    }
+    return null;
+}
+
+test('a ball hits the paddle at any speed', () => {
+    // At 300 m/s the ball moves 5 m a step, far more than the 2 cm paddle
+    for (const speed of [BALL.initialSpeed, BALL.maxSpeed, 30, 300]) {
+        for (const x of [0, 0.1, -0.16]) {
+            const ball = ballTowardNear(speed, x);
+            assert.equal(stepUntilResult(ball, nearPaddle, null), STEP.NEAR_HIT, `${speed} m/s at x=${x}`);
+            assert.ok(ball.velocity.z < 0);
+            assert.ok(ball.contact.time > 0 && ball.contact.time <= TICK_SECONDS);
+        }
+    }
+});
+
+test('the contact is where the ball meets the paddle face', () => {
+    const ball = ballTowardNear(30, 0.05);
+    stepUntilResult(ball, nearPaddle, null);
+
+    assert.deepEqual(ball.contact.normal, { x: 0, y: 0, z: -1 });
+    assert.ok(Math.abs(ball.contact.point.z - (PADDLE.nearZ - PADDLE.depth / 2)) < 1e-9);
+    assert.ok(Math.abs(ball.contact.point.x - 0.05) < 1e-9);
+});
+
+test('a ball beside the paddle gets past it', () => {
+    const ball = ballTowardNear(300, 0.3);
+    assert.equal(stepUntilResult(ball, nearPaddle, null), STEP.NEAR_MISS);
+    assert.equal(ball.contact, null);
+});
+
+test('a ball already past the paddle is not pulled back', () => {
+    const ball = ballTowardNear(1);
+    ball.position.z = PADDLE.nearZ + 0.02;
+    assert.equal(stepUntilResult(ball, nearPaddle, null), STEP.NEAR_MISS);
+});
+
+test('the side walls bounce the ball back', () => {
+    const ball = createBallState();
+    ball.velocity.x = 2;
+    ball.velocity.z = 0.001;
+
+    for (let step = 0; step < 60; step++) {
+        stepBall(ball, null, null);
+        assert.ok(Math.abs(ball.position.x) <= TABLE.halfWidth);
+    }
+    assert.ok(ball.velocity.x < 0);
+});
+
+test('predictCrossing follows the ball off the side walls', () => {
+    // 54 steps to the plane, 2.25 m sideways: off the right wall, then the
+    // left, and on to x = -0.55
+    const ball = createBallState();
+    ball.velocity.x = 2.5;
+    ball.velocity.z = 0.6;
+    const z = ball.position.z + 0.6 * 54 * TICK_SECONDS;
+
+    const crossing = predictCrossing(ball.position, ball.velocity, z);
+    assert.equal(crossing.bounces, 2);
+    assert.ok(Math.abs(crossing.time - 54 * TICK_SECONDS) < 1e-9);
+    assert.ok(Math.abs(crossing.x - -0.55) < 1e-9);
+
+    for (let step = 0; step < 54; step++) {
+        stepBall(ball, null, null);
+    }
+    assert.ok(Math.abs(ball.position.x - crossing.x) < 1e-9);
+
+    // Heading the other way, it never gets there
+    assert.equal(predictCrossing(createBallState().position, { x: 0, y: 0, z: -1 }, z), null);
+});
+
+test('flipping the table side twice gives the position back', () => {
+    const position = { x: 0.3, y: 1, z: -0.4 };
+    assert.deepEqual(flipTableSide(position), { x: -0.3, y: 1, z: -1.6 });
+
+    const back = flipTableSide(flipTableSide(position));
+    for (const axis of ['x', 'y', 'z']) {
+        assert.ok(Math.abs(back[axis] - position[axis]) < 1e-9);
+    }
+});
+
+test('sweepBallPaddle finds the first touch along the path', () => {
+    const hit = sweepBallPaddle({ x: 0, y: TABLE.ballHeight, z: -1 }, { x: 0, y: 0, z: 2 }, nearPaddle);
+    const reach = PADDLE.hitBuffer + BALL.radius;
+    assert.ok(Math.abs(hit.center.z - (PADDLE.nearZ - PADDLE.depth / 2 - reach)) < 1e-9);
+    assert.ok(hit.t > 0 && hit.t < 1);
+
+    const miss = sweepBallPaddle({ x: 0, y: TABLE.ballHeight, z: -1 }, { x: 0, y: 0, z: 0.5 }, nearPaddle);
+    assert.equal(miss, null);
+});
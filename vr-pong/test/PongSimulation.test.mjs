@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PongSimulation, SIM_EVENT, seededRandom } from '../js/shared/PongSimulation.mjs';
+import { PaddleAI } from '../js/shared/PaddleAI.mjs';
+import { TICK_RATE, TICK_SECONDS, TABLE } from '../js/shared/PongPhysics.mjs';
+import { getRules, COUNTDOWN_MS, SERVE_DELAY_MS } from '../js/shared/MatchRules.mjs';
+
+const COUNTDOWN_STEPS = Math.ceil(COUNTDOWN_MS / 1000 * TICK_RATE);
+const SERVE_DELAY_STEPS = Math.ceil(SERVE_DELAY_MS / 1000 * TICK_RATE);
+
+// A whole game between two AI players, everything drawn from one seed.
+// The guest plays worse so that games end. Returns the simulation and
+// every event with the step it happened on.
+function playGame({ seed, rules = getRules('short'), maxSteps = TICK_RATE * 900 }) {
+    const random = seededRandom(seed);
+    const simulation = new PongSimulation({ rules, random });
+    const host = new PaddleAI({ difficulty: 'hard', random });
+    const guest = new PaddleAI({ difficulty: 'easy', random });
+    const log = [];
+
+    for (let step = 0; step < maxSteps && !simulation.isOver; step++) {
+        const { paddles } = simulation;
+        host.update(paddles.host, simulation.ball, TICK_SECONDS, { opponent: paddles.guest });
+        guest.update(paddles.guest, simulation.ball, TICK_SECONDS, { opponent: paddles.host });
+        for (const event of simulation.step()) {
+            log.push({ step, ...event });
+        }
+    }
+    return { simulation, log };
+}
+
+// Step until an event of type comes up; returns [event, steps taken]
+function stepUntil(simulation, type, maxSteps = TICK_RATE * 60) {
+    for (let step = 1; step <= maxSteps; step++) {
+        const event = simulation.step().find((e) => e.type === type);
+        if (event) return [event, step];
+    }
+    assert.fail(`no ${type} within ${maxSteps} steps`);
+}
+
+test('the same seed plays out the same game', () => {
+    const first = playGame({ seed: 7 });
+    const second = playGame({ seed: 7 });
+
+    assert.ok(first.simulation.isOver);
+    assert.deepEqual(second.log, first.log);
+    assert.deepEqual(second.simulation.score, first.simulation.score);
+    assert.deepEqual(second.simulation.ball, first.simulation.ball);
+});
+
+test('a game ends under its rules with rallies of paddle hits', () => {
+    const { simulation, log } = playGame({ seed: 3 });
+    const { host, guest } = simulation.score;
+
+    assert.equal(Math.max(host, guest), 5);
+    assert.ok(Math.abs(host - guest) >= 2);
+    assert.equal(simulation.result.reason, 'points');
+    assert.equal(simulation.result.winner, host > guest ? 'host' : 'guest');
+
+    const hits = log.filter((e) => e.type === SIM_EVENT.HIT);
+    assert.ok(hits.some((e) => e.side === 'host'));
+    assert.ok(hits.some((e) => e.side === 'guest'));
+    assert.equal(simulation.stats.rallies, host + guest);
+    assert.equal(log.at(-1).type, SIM_EVENT.GAME_OVER);
+
+    // Nothing happens once the game is decided
+    assert.deepEqual(simulation.step(), []);
+});
+
+test('the first serve comes after the countdown', () => {
+    const simulation = new PongSimulation({ rules: getRules('points'), random: seededRandom(1) });
+
+    for (let step = 1; step < COUNTDOWN_STEPS; step++) {
+        assert.deepEqual(simulation.step(), []);
+        assert.deepEqual(simulation.ball.velocity, { x: 0, y: 0, z: 0 });
+    }
+    assert.deepEqual(simulation.step().map((e) => e.type), [SIM_EVENT.SERVE]);
+    assert.notEqual(simulation.ball.velocity.z, 0);
+    assert.equal(simulation.getClock().elapsedMs, 0);
+});
+
+test('a missed ball scores for the other side and is served again after the delay', () => {
+    const simulation = new PongSimulation({ rules: getRules('points'), random: seededRandom(2) });
+    stepUntil(simulation, SIM_EVENT.SERVE);
+
+    // Both paddles out of the way: whoever the ball heads for misses
+    simulation.setPaddle('host', 0.6);
+    simulation.setPaddle('guest', 0.6);
+    simulation.ball.velocity.x = 0;
+    const towardHost = simulation.ball.velocity.z > 0;
+
+    const [point] = stepUntil(simulation, SIM_EVENT.POINT);
+    assert.equal(point.side, towardHost ? 'guest' : 'host');
+    assert.deepEqual(point.score, towardHost ? { host: 0, guest: 1 } : { host: 1, guest: 0 });
+    assert.equal(simulation.ball.position.z, TABLE.centerZ);
+
+    const [, steps] = stepUntil(simulation, SIM_EVENT.SERVE);
+    assert.equal(steps, SERVE_DELAY_STEPS);
+});
+
+test('a paddle in the ball\'s way sends it back', () => {
+    const simulation = new PongSimulation({ rules: getRules('points'), random: seededRandom(4) });
+    stepUntil(simulation, SIM_EVENT.SERVE);
+    simulation.ball.velocity.x = 0;
+    const side = simulation.ball.velocity.z > 0 ? 'host' : 'guest';
+
+    const [hit] = stepUntil(simulation, SIM_EVENT.HIT);
+    assert.equal(hit.side, side);
+    assert.equal(simulation.rallyHits, 1);
+    assert.equal(Math.sign(simulation.ball.velocity.z), side === 'host' ? -1 : 1);
+    assert.ok(Math.abs(hit.contact.point.z - simulation.paddles[side].z) <= 0.01 + 1e-9);
+});
+
+test('a tie when the clock runs out goes to sudden death', () => {
+    const rules = { pointsToWin: null, winBy: 2, timeLimitMs: 2000 };
+    const simulation = new PongSimulation({ rules, random: seededRandom(5) });
+    stepUntil(simulation, SIM_EVENT.SERVE);
+
+    // Keep the ball in play: both paddles follow it exactly
+    const follow = () => {
+        simulation.setPaddle('host', simulation.ball.position.x);
+        simulation.setPaddle('guest', simulation.ball.position.x);
+    };
+    let overtime = null;
+    for (let step = 0; step < TICK_RATE * 3 && !overtime; step++) {
+        follow();
+        overtime = simulation.step().find((e) => e.type === SIM_EVENT.OVERTIME);
+    }
+    assert.ok(overtime);
+    assert.ok(simulation.overtime);
+    assert.ok(!simulation.isOver);
+
+    // The next point wins
+    simulation.setPaddle('host', 0.6);
+    simulation.setPaddle('guest', -0.6);
+    simulation.ball.velocity.x = 0;
+    simulation.ball.position.x = 0;
+    const [gameOver] = stepUntil(simulation, SIM_EVENT.GAME_OVER);
+    assert.equal(gameOver.result.reason, 'suddenDeath');
+    assert.equal(gameOver.result.winner, simulation.score.host > simulation.score.guest ? 'host' : 'guest');
+});
+
+test('paddles stay on the table', () => {
+    const simulation = new PongSimulation({ rules: getRules() });
+    simulation.setPaddle('host', 5, 1.1);
+    simulation.setPaddle('guest', -5);
+
+    assert.equal(simulation.paddles.host.x, 0.6);
+    assert.equal(simulation.paddles.host.y, 1.1);
+    assert.equal(simulation.paddles.guest.x, -0.6);
+    assert.equal(simulation.paddles.host.z, -0.1);
+    assert.equal(simulation.paddles.guest.z, -1.9);
+});
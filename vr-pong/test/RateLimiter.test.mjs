@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, VERDICT } from '../server/RateLimiter.js';
+
+const LIMITS = {
+    updatePaddlePosition: { rate: 60, burst: 2, coalesce: true },
+    setDisplayName: { rate: 1, burst: 3 },
+    default: { rate: 5, burst: 10 }
+};
+
+function createLimiter({ maxMessagesPerSecond = 1000, strikeLimit = 3, strikeWindowMs = 10000 } = {}) {
+    return new RateLimiter(LIMITS, { maxMessagesPerSecond, strikeLimit, strikeWindowMs });
+}
+
+test('events over their burst are dropped, streams coalesced, until tokens refill', () => {
+    const limiter = createLimiter();
+    const verdicts = [0, 0, 0, 0].map(() => limiter.check('setDisplayName', 0));
+    assert.deepEqual(verdicts, [VERDICT.ALLOW, VERDICT.ALLOW, VERDICT.ALLOW, VERDICT.DROP]);
+    assert.equal(limiter.check('setDisplayName', 1000), VERDICT.ALLOW);
+
+    limiter.check('updatePaddlePosition', 0);
+    limiter.check('updatePaddlePosition', 0);
+    assert.equal(limiter.check('updatePaddlePosition', 0), VERDICT.COALESCE);
+});
+
+test('the whole socket has a ceiling, and strikes add up within their window', () => {
+    const limiter = createLimiter({ maxMessagesPerSecond: 2 });
+    assert.equal(limiter.check('listRooms', 0), VERDICT.ALLOW);
+    assert.equal(limiter.check('hostGame', 0), VERDICT.ALLOW);
+    assert.equal(limiter.check('joinRoom', 0), VERDICT.DROP);
+    assert.equal(limiter.check('joinRoom', 1000), VERDICT.ALLOW);
+
+    assert.equal(limiter.addStrike(0), false);
+    assert.equal(limiter.addStrike(1), false);
+    assert.equal(limiter.addStrike(20000), false);
+    assert.equal(limiter.addStrike(20001), false);
+    assert.equal(limiter.addStrike(20002), true);
+});
+
+test('a coalesced stream delivers only its newest message', async () => {
+    const limiter = createLimiter();
+    const delivered = [];
+    for (let i = 0; i < 3; i++) {
+        limiter.check('updatePaddlePosition');
+    }
+    limiter.defer('updatePaddlePosition', () => delivered.push('old'));
+    limiter.defer('updatePaddlePosition', () => delivered.push('new'));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(delivered, ['new']);
+    limiter.dispose();
+});
+
+test('event names that are object properties get the default budget and touch no prototype', () => {
+    const limiter = createLimiter();
+    for (const event of ['__proto__', 'constructor', 'toString', 'hasOwnProperty']) {
+        const verdicts = Array.from({ length: 11 }, () => limiter.check(event, 0));
+        assert.equal(verdicts.filter((verdict) => verdict === VERDICT.ALLOW).length, LIMITS.default.burst, event);
+    }
+    assert.equal(Object.prototype.tokens, undefined);
+    assert.equal(Object.prototype.updatedAt, undefined);
+    assert.equal(Object.tokens, undefined);
+    assert.equal({}.constructor, Object);
+});
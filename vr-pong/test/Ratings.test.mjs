@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Ratings, INITIAL_RATING } from '../server/Ratings.js';
+
+// A recorded match as endMatch() in server.js writes it
+function match(hostId, guestId, hostScore, guestScore, abandonedBy = null) {
+    let winner = hostScore > guestScore ? 'host' : guestScore > hostScore ? 'guest' : null;
+    if (abandonedBy) {
+        winner = abandonedBy === 'host' ? 'guest' : 'host';
+    }
+    return { host: { id: hostId }, guest: { id: guestId }, hostScore, guestScore, winner, abandonedBy };
+}
+
+test('the expected score is symmetric: swapping seats mirrors the changes', () => {
+    const ratings = new Ratings([]);
+    const even = ratings.apply(match('ada', 'bob', 11, 5));
+    assert.deepEqual(even, {
+        host: { before: INITIAL_RATING, after: INITIAL_RATING + 24 },
+        guest: { before: INITIAL_RATING, after: INITIAL_RATING - 24 }
+    });
+
+    const asHost = new Ratings([match('ada', 'bob', 11, 5)]).apply(match('ada', 'bob', 11, 9));
+    const asGuest = new Ratings([match('bob', 'ada', 5, 11)]).apply(match('bob', 'ada', 9, 11));
+    assert.deepEqual(asHost.host, asGuest.guest);
+    assert.deepEqual(asHost.guest, asGuest.host);
+    assert.equal(asHost.host.after - asHost.host.before, -(asHost.guest.after - asHost.guest.before));
+});
+
+test('ratings move faster for the first 10 games', () => {
+    const draws = Array.from({ length: 10 }, () => match('ada', 'bob', 3, 3));
+    const ratings = new Ratings(draws);
+    assert.equal(ratings.getRating('ada'), INITIAL_RATING);
+    assert.equal(ratings.get('ada').draws, 10);
+
+    // ada has settled (K 32), the newcomer is provisional (K 48)
+    const changes = ratings.apply(match('ada', 'cy', 11, 2));
+    assert.equal(changes.host.after, INITIAL_RATING + 16);
+    assert.equal(changes.guest.after, INITIAL_RATING - 24);
+});
+
+test('a forfeit is rated even at 0-0; a restart at 0-0 is not', () => {
+    const ratings = new Ratings([]);
+    assert.equal(ratings.apply(match('ada', 'bob', 0, 0)), null);
+    assert.equal(ratings.apply(match('ada', null, 4, 1)), null);
+    assert.deepEqual(ratings.leaderboard(), []);
+
+    const changes = ratings.apply(match('ada', 'bob', 0, 0, 'guest'));
+    assert.equal(changes.host.after, INITIAL_RATING + 24);
+    assert.equal(ratings.get('ada').wins, 1);
+    assert.equal(ratings.get('bob').losses, 1);
+});
+
+test('replaying the match history after a restart gives the same ratings', () => {
+    const history = [
+        match('ada', 'bob', 11, 7),
+        match('bob', 'cy', 0, 0),
+        match('cy', 'ada', 5, 11),
+        match('bob', 'cy', 2, 0, 'bob'),
+        match('ada', 'bob', 9, 11)
+    ];
+    const live = new Ratings([]);
+    for (const recorded of history) {
+        live.apply(recorded);
+    }
+
+    const replayed = new Ratings(history);
+    assert.deepEqual(replayed.players, live.players);
+    assert.deepEqual(replayed.leaderboard(), live.leaderboard());
+});
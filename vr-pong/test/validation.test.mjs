@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePayload, isKnownEvent } from '../server/validation.js';
+
+test('paddle positions off the table are rejected', () => {
+    assert.deepEqual(validatePayload('updatePaddlePosition', { x: 0.5, y: 0.9, z: -0.1 }), {
+        valid: true,
+        value: { x: 0.5, y: 0.9, z: -0.1 }
+    });
+
+    for (const position of [{ x: 1.5, y: 0.9, z: -0.1 }, { x: 0, y: -0.1, z: 0 }, { x: 0, y: 1, z: -3.5 }]) {
+        assert.equal(validatePayload('updatePaddlePosition', position).valid, false, JSON.stringify(position));
+    }
+    const { error } = validatePayload('collisionEvent', { roomId: 'ABC123', type: 'wall', position: { x: 0, y: 4, z: 0 } });
+    assert.equal(error, 'position: y: expected a number from 0 to 3');
+});
+
+test('fields that aren\'t finite numbers are rejected', () => {
+    for (const x of ['0.5', null, undefined, NaN, Infinity, { valueOf: () => 0 }, [0]]) {
+        const result = validatePayload('updatePaddlePosition', { x, y: 0.9, z: -0.1 });
+        assert.deepEqual(result, { valid: false, error: 'x: expected a finite number' });
+    }
+    assert.equal(validatePayload('updatePaddlePosition', null).error, 'expected an object');
+    assert.equal(validatePayload('updatePaddlePosition', [0.5, 0.9, -0.1]).error, 'expected an object');
+    assert.equal(validatePayload('hostGame', { seriesLength: '3' }).valid, false);
+});
+
+test('keys the schema doesn\'t know are dropped', () => {
+    const { valid, value } = validatePayload('setDisplayName', { displayName: 'Ada', isAdmin: true, __proto__: { polluted: true } });
+    assert.equal(valid, true);
+    assert.deepEqual(Object.keys(value), ['displayName']);
+    assert.equal(value.polluted, undefined);
+
+    const paddle = validatePayload('updatePaddlePosition', { x: 0, y: 1, z: 0, role: 'host', roomId: 'ABC123' }).value;
+    assert.deepEqual(paddle, { x: 0, y: 1, z: 0 });
+
+    const hosted = validatePayload('hostGame', { seriesLength: 3, ratingOverride: 3000 }).value;
+    assert.deepEqual(Object.keys(hosted), ['seriesLength', 'rules']);
+});
+
+test('room codes are trimmed and upper-cased; anything else is not a code', () => {
+    assert.deepEqual(validatePayload('joinRoom', { roomId: ' ab12cd ' }), { valid: true, value: { roomId: 'AB12CD' } });
+    for (const roomId of ['AB12C', 'AB12CDE', 'AB-12C', 123456, null]) {
+        assert.deepEqual(validatePayload('joinRoom', { roomId }), { valid: false, error: 'roomId: expected a six character room code' });
+    }
+});
+
+test('events without a schema are unknown, payloads of payload-less events are ignored', () => {
+    for (const event of ['noSuchEvent', '__proto__', 'constructor', 'toString']) {
+        assert.equal(isKnownEvent(event), false);
+        assert.deepEqual(validatePayload(event, {}), { valid: false, error: 'unknown event' });
+    }
+    assert.deepEqual(validatePayload('listRooms', { anything: 1 }), { valid: true, value: undefined });
+});